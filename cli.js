@@ -1,7 +1,16 @@
 #!/usr/bin/env node
 /**
- * CLI: node cli.js <archivo.csv> [--output-dir=./output] [--clean]
- * --clean: además genera datos_limpios.csv
+ * CLI: node cli.js <archivo.csv|.xlsx|.ods> [--output-dir=./output] [--clean] [--delimiter=;] [--encoding=latin1] [--sheet=Hoja1]
+ * --clean: además genera datos_limpios.csv (con las columnas extra del original salvo --no-extra)
+ * --delimiter / --encoding: fuerzan separador y codificación (por defecto se detectan)
+ * --sheet: hoja a leer en XLSX/ODS (nombre o posición, por defecto la primera)
+ * --map: columnas por nombre o índice (phone=Celular,pais=Country); lo no indicado se detecta
+ * --default-country: región para números locales sin país reconocible (default: ES)
+ * --country-mismatch: warn | error | ignore cuando el prefijo no coincide con la columna pais
+ * --repair: intenta corregir los números inválidos (ver reparados.csv)
+ * --phone-policy: all | first | mobile para las filas con varios teléfonos
+ * --phone-format: e164 | international | national | rfc3966 | digits en los CSV de salida
+ * --registry=ruta / --no-registry: registro de caller IDs ya generados o importados (ver src/registry)
  */
 
 import { processFromFile } from './src/index.js';
@@ -14,16 +23,70 @@ const args = process.argv.slice(2);
 const input = args.find((a) => !a.startsWith('--'));
 const outputDir = args.find((a) => a.startsWith('--output-dir='))?.replace('--output-dir=', '') || 'output';
 const exportClean = args.includes('--clean');
+const includeExtra = !args.includes('--no-extra');
 const verbose = args.includes('--verbose');
+const delimiter = args.find((a) => a.startsWith('--delimiter='))?.replace('--delimiter=', '');
+const encoding = args.find((a) => a.startsWith('--encoding='))?.replace('--encoding=', '');
+const sheet = args.find((a) => a.startsWith('--sheet='))?.replace('--sheet=', '');
+const columnMap = args.find((a) => a.startsWith('--map='))?.replace('--map=', '');
+const defaultCountry = args.find((a) => a.startsWith('--default-country='))?.replace('--default-country=', '');
+const countryMismatch = args.find((a) => a.startsWith('--country-mismatch='))?.replace('--country-mismatch=', '');
+const dedup = args.find((a) => a.startsWith('--dedup='))?.replace('--dedup=', '');
+const lineTypes = args.find((a) => a.startsWith('--line-types='))?.replace('--line-types=', '');
+const repair = args.includes('--repair');
+const phonePolicy = args.find((a) => a.startsWith('--phone-policy='))?.replace('--phone-policy=', '');
+const phoneFormat = args.find((a) => a.startsWith('--phone-format='))?.replace('--phone-format=', '');
+const seed = args.find((a) => a.startsWith('--seed='))?.replace('--seed=', '');
+const localPresence = args.includes('--local-presence');
+const contactsPerNumber = args.find((a) => a.startsWith('--contacts-per-number='))?.replace('--contacts-per-number=', '');
+const minPerCountry = args.find((a) => a.startsWith('--min-per-country='))?.replace('--min-per-country=', '');
+const maxPerCountry = args.find((a) => a.startsWith('--max-per-country='))?.replace('--max-per-country=', '');
+const maxPerPrefix = args.find((a) => a.startsWith('--max-per-prefix='))?.replace('--max-per-prefix=', '');
+const generatedLineType = args.find((a) => a.startsWith('--generated-line-type='))?.replace('--generated-line-type=', '');
+const registryPath = args.find((a) => a.startsWith('--registry='))?.replace('--registry=', '');
+const registry = !args.includes('--no-registry');
 
 if (!input) {
   console.log(`
-Uso: node cli.js <archivo.csv> [opciones]
+Uso: node cli.js <archivo.csv|archivo.xlsx|archivo.ods> [opciones]
 
 Opciones:
   --output-dir=<ruta>   Carpeta de salida (default: output)
   --clean               Exportar también datos_limpios.csv
+  --no-extra            No incluir en datos_limpios.csv las columnas extra del original
   --verbose             Mostrar detalle de números rechazados
+  --delimiter=<sep>     Separador: , ; tab | (default: auto)
+  --encoding=<cod>      Codificación: utf8, utf16le, utf16be, latin1 (default: auto)
+  --sheet=<hoja>        Hoja de XLSX/ODS: nombre o posición (default: la primera)
+  --map=<campo=col,...> Columnas por nombre o índice (0 = primera), ej: phone=Celular,pais=Country
+                        Campos: phone, name, email, region, pais (el resto se detecta)
+                        Varias columnas de teléfono: phone=Telefono|Celular|Telefono2
+  --default-country=<p> País o ISO para números locales si la fila no trae país (default: ES)
+  --country-mismatch=<m> Prefijo distinto de la columna pais: warn, error, ignore (default: warn)
+  --dedup=<modo>        Duplicados por E.164: none, first, last, merge (default: none)
+  --line-types=<t,...>  Tipos de línea permitidos, ej: MOBILE,FIXED_LINE_OR_MOBILE (default: todos)
+  --phone-policy=<p>    Filas con varios teléfonos: all, first, mobile (default: all)
+  --phone-format=<f>    Formato de los teléfonos exportados: e164, international, national,
+                        rfc3966, digits (default: digits en numeros_generados, e164 en batch calling)
+  --repair              Corregir números inválidos (+00, 0 troncal, código de país desde pais,
+                        notación científica de Excel); el antes/después queda en reparados.csv.
+                        La notación científica no se acepta: solo se lista para revisarla
+  --local-presence      Generar los caller IDs en los prefijos (código de área) de los contactos,
+                        en proporción a sus contactos; ver cobertura_prefijos.csv
+  --contacts-per-number=<n> Un caller ID por cada N contactos del país (default: 1)
+  --min-per-country=<n> Mínimo de números generados por país
+  --max-per-country=<n> Máximo de números generados por país
+  --max-per-prefix=<k>  Máximo de números generados con el mismo prefijo
+                        (default: 1; sin límite con --local-presence)
+  --generated-line-type=<t> Tipo de línea de los números generados: MOBILE, FIXED_LINE, ANY
+                        (default: MOBILE)
+  --seed=<semilla>      Semilla de los números generados (entero o texto): repite la misma
+                        generación con la misma entrada y --no-registry (default: una al azar,
+                        se muestra al final)
+  --registry=<ruta>     Registro de caller IDs ya generados, importados o retirados, que no se
+                        vuelven a generar (default: CALLER_ID_REGISTRY o data/caller_ids.json)
+  --no-registry         No consultar ni actualizar el registro: para repetir exactamente una
+                        ejecución con --seed (con el registro, sus números ya están excluidos)
 
 Ejemplo:
   node cli.js contactos.csv --output-dir=./resultado --clean
@@ -34,18 +97,46 @@ Ejemplo:
 const inputPath = resolve(process.cwd(), input);
 const outDir = resolve(process.cwd(), outputDir);
 
-processFromFile(inputPath, { outputDir: outDir, exportCleanCsv: exportClean })
-  .then(({ resumen, valid, errors, outputFiles }) => {
+const DELIMITER_LABELS = { ',': 'coma', ';': 'punto y coma', '\t': 'tabulador', '|': 'barra vertical' };
+
+processFromFile(inputPath, { outputDir: outDir, exportCleanCsv: exportClean, includeExtra, delimiter, encoding, sheet, columnMap, defaultCountry, countryMismatch, dedup, lineTypes, repair, phonePolicy, phoneFormat, seed, generatedLineType, localPresence, contactsPerNumber, minPerCountry, maxPerCountry, maxPerPrefix, registry, registryPath: registryPath && resolve(process.cwd(), registryPath) })
+  .then(({ resumen, resumenTipos, valid, errors, warnings, outputFiles, format, columns, seed: usedSeed, shortfall, coverage, runId }) => {
     console.log('Procesamiento finalizado.\n');
+    if (format.type === 'spreadsheet') {
+      console.log(`Hoja: ${format.sheet} (disponibles: ${format.sheets.join(', ')})\n`);
+    } else {
+      console.log(`Formato: separador ${DELIMITER_LABELS[format.delimiter] || format.delimiter}, codificación ${format.encoding}\n`);
+    }
+    console.log('Columnas:');
+    Object.entries(columns).forEach(([field, col]) => {
+      if (!col) return console.log(`  ${field}: (sin asignar)`);
+      const label = col.header ? `"${col.header}" (${col.index})` : `columna ${col.index}`;
+      console.log(`  ${field}: ${label}, confianza ${col.confidence} [${col.source}]`);
+    });
+    console.log('');
     console.log('Resumen por país:');
     Object.entries(resumen).forEach(([pais, n]) => console.log(`  ${pais}: ${n}`));
+    console.log('\nPor tipo de línea:');
+    Object.entries(resumenTipos).forEach(([tipo, n]) => console.log(`  ${tipo}: ${n}`));
     console.log(`\nTotal válidos: ${valid}`);
     if (errors.length) {
       console.log(`Rechazados: ${errors.length}`);
       if (verbose) errors.forEach((e) => console.log(`  - ${e.phone} (${e.pais}): ${e.error}`));
     }
+    if (warnings.length) {
+      console.log(`Avisos: ${warnings.length}`);
+      if (verbose) warnings.forEach((w) => console.log(`  - ${w.phone} (${w.pais}): ${w.warning}`));
+    }
+    console.log(`\nPrefijos con número local: ${coverage.covered} de ${coverage.prefixes}`);
+    const missing = Object.entries(shortfall);
+    if (missing.length) {
+      console.log('\nNúmeros generados insuficientes:');
+      missing.forEach(([pais, { requested, generated }]) => console.log(`  ${pais}: ${generated} de ${requested}`));
+    }
     console.log('\nArchivos generados:');
     outputFiles.forEach((f) => console.log(`  ${f}`));
+    console.log(`\nSemilla: ${usedSeed} (repetir con --seed=${usedSeed})`);
+    if (registry) console.log(`Ejecución registrada: ${runId}`);
   })
   .catch((err) => {
     console.error('Error:', err.message);
@@ -0,0 +1,123 @@
+ import Busboy from 'busboy';
+ import { detectColumnsFromString } from '../../src/index.js';
+
+ const OPTION_FIELDS = ['delimiter', 'encoding', 'sheet', 'columnMap'];
+
+ /** Parsea multipart/form-data y devuelve { csvContent (Buffer), options }. */
+ function parseMultipart(event) {
+   return new Promise((resolve, reject) => {
+     const ct = event.headers['content-type'] || event.headers['Content-Type'] || '';
+     const bodyBuffer = event.isBase64Encoded
+       ? Buffer.from(event.body || '', 'base64')
+       : Buffer.from(event.body || '', 'utf8');
+
+     const busboy = Busboy({ headers: { 'content-type': ct } });
+     let csvContent = null;
+     const options = {};
+
+     busboy.on('file', (name, file) => {
+       if (name !== 'file') {
+         file.resume();
+         return;
+       }
+       const chunks = [];
+       file.on('data', (chunk) => chunks.push(chunk));
+       file.on('end', () => {
+         csvContent = Buffer.concat(chunks);
+       });
+     });
+
+     busboy.on('field', (name, value) => {
+       if (OPTION_FIELDS.includes(name)) options[name] = value;
+     });
+
+     busboy.on('finish', () => resolve({ csvContent, options }));
+     busboy.on('error', reject);
+     busboy.write(bodyBuffer);
+     busboy.end();
+   });
+ }
+
+ export const handler = async (event) => {
+   if (event.httpMethod === 'OPTIONS') {
+     return {
+       statusCode: 204,
+       headers: corsHeaders(),
+     };
+   }
+
+   if (event.httpMethod !== 'POST') {
+     return {
+       statusCode: 405,
+       headers: corsHeaders(),
+       body: JSON.stringify({ error: 'Method Not Allowed' }),
+     };
+   }
+
+   try {
+     const contentType =
+       (event.headers['content-type'] || event.headers['Content-Type'] || '').toLowerCase();
+
+     let csvContent = '';
+     let options = {};
+
+     if (contentType.includes('application/json')) {
+       const body = JSON.parse(event.body || '{}');
+       csvContent = body.csvBase64 ? Buffer.from(String(body.csvBase64), 'base64') : body.csvContent || '';
+       for (const name of OPTION_FIELDS) {
+         if (body[name] !== undefined) options[name] = body[name];
+       }
+     } else if (contentType.includes('multipart/form-data')) {
+       const parsed = await parseMultipart(event);
+       csvContent = parsed.csvContent;
+       options = parsed.options;
+       const qs = event.queryStringParameters || {};
+       for (const name of OPTION_FIELDS) {
+         if (qs[name]) options[name] = qs[name];
+       }
+     } else {
+       return {
+         statusCode: 400,
+         headers: corsHeaders(),
+         body: JSON.stringify({
+           error: 'Content-Type debe ser application/json o multipart/form-data (campo "file").',
+         }),
+       };
+     }
+
+     if (!csvContent || csvContent.length === 0) {
+       return {
+         statusCode: 400,
+         headers: corsHeaders(),
+         body: JSON.stringify({
+           error: 'Debe enviar el CSV: en JSON como csvContent o en multipart como archivo en el campo "file".',
+         }),
+       };
+     }
+
+     return {
+       statusCode: 200,
+       headers: {
+         ...corsHeaders(),
+         'Content-Type': 'application/json',
+       },
+       body: JSON.stringify(detectColumnsFromString(csvContent, options)),
+     };
+   } catch (err) {
+     return {
+       statusCode: 500,
+       headers: corsHeaders(),
+       body: JSON.stringify({
+         error: err.message || 'Error interno en la función detect-columns',
+       }),
+     };
+   }
+ };
+
+ function corsHeaders() {
+   return {
+     'Access-Control-Allow-Origin': '*',
+     'Access-Control-Allow-Methods': 'POST, OPTIONS',
+     'Access-Control-Allow-Headers': 'Content-Type',
+   };
+ }
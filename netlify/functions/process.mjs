@@ -3,10 +3,11 @@
  import { mkdirSync, readFileSync, existsSync } from 'fs';
  import Busboy from 'busboy';
  import { processFromString } from '../../src/index.js';
+ import { requireRegistryPath } from '../../src/registry/callerIdRegistry.js';
 
  const TMP_OUTPUT_ROOT = '/tmp/phone-csv-output';
 
- /** Parsea multipart/form-data y devuelve { csvContent, clean }. */
+ /** Parsea multipart/form-data y devuelve { csvContent (Buffer), fields } con el resto de campos del formulario. */
  function parseMultipart(event) {
    return new Promise((resolve, reject) => {
      const ct = event.headers['content-type'] || event.headers['Content-Type'] || '';
@@ -15,8 +16,8 @@
        : Buffer.from(event.body || '', 'utf8');
 
      const busboy = Busboy({ headers: { 'content-type': ct } });
-     let csvContent = '';
-     let clean = false;
+     let csvContent = null;
+     const fields = {};
 
      busboy.on('file', (name, file) => {
        if (name !== 'file') {
@@ -26,21 +27,27 @@
        const chunks = [];
        file.on('data', (chunk) => chunks.push(chunk));
        file.on('end', () => {
-         csvContent = Buffer.concat(chunks).toString('utf8');
+         // Se conservan los bytes: la codificación (o si es XLSX/ODS) se detecta en el parser
+         csvContent = Buffer.concat(chunks);
        });
      });
 
      busboy.on('field', (name, value) => {
-       if (name === 'clean') clean = value === '1' || value === 'true';
+       fields[name] = value;
      });
 
-     busboy.on('finish', () => resolve({ csvContent, clean }));
+     busboy.on('finish', () => resolve({ csvContent, fields }));
      busboy.on('error', reject);
      busboy.write(bodyBuffer);
      busboy.end();
    });
  }
 
+ /** Interpreta flags que pueden llegar como boolean, "1" o "true". */
+ function isFlagSet(value) {
+   return value === true || value === 1 || ['1', 'true'].includes(String(value ?? '').toLowerCase());
+ }
+
  export const handler = async (event) => {
    if (event.httpMethod === 'OPTIONS') {
      return {
@@ -62,19 +69,20 @@
        (event.headers['content-type'] || event.headers['Content-Type'] || '').toLowerCase();
 
      let csvContent = '';
-     let clean = false;
+     // param(name): valor del parámetro en el body JSON, o en el formulario/query string si es multipart
+     let param;
 
      if (contentType.includes('application/json')) {
        const body = JSON.parse(event.body || '{}');
-       csvContent = body.csvContent || '';
-       clean = !!body.clean;
+       // csvBase64 conserva los bytes originales para poder detectar la codificación
+       csvContent = body.csvBase64 ? Buffer.from(String(body.csvBase64), 'base64') : body.csvContent || '';
+       param = (name) => body[name];
      } else if (contentType.includes('multipart/form-data')) {
        const parsed = await parseMultipart(event);
        csvContent = parsed.csvContent;
-       clean = parsed.clean;
-       // Query string puede sobrescribir clean (?clean=1)
+       // Query string puede sobrescribir los campos del formulario (?clean=1, ?delimiter=;...)
        const qs = event.queryStringParameters || {};
-       if (qs.clean === '1' || qs.clean === 'true') clean = true;
+       param = (name) => qs[name] ?? parsed.fields[name];
      } else {
        return {
          statusCode: 400,
@@ -85,7 +93,7 @@
        };
      }
 
-     if (!csvContent || typeof csvContent !== 'string') {
+     if (!csvContent || csvContent.length === 0) {
        return {
          statusCode: 400,
          headers: corsHeaders(),
@@ -95,14 +103,42 @@
        };
      }
 
+     // /tmp es propio de cada instancia: el registro solo puede vivir en CALLER_ID_REGISTRY
+     const registry = param('registry') === undefined || isFlagSet(param('registry'));
+     const registryPath = registry ? requireRegistryPath() : undefined;
+
      const id = randomUUID();
      const outDir = join(TMP_OUTPUT_ROOT, id);
 
      mkdirSync(outDir, { recursive: true });
 
+     const clean = isFlagSet(param('clean'));
      const result = processFromString(csvContent, {
        outputDir: outDir,
        exportCleanCsv: clean,
+       // Columnas extra del original en datos_limpios.csv salvo includeExtra=0/false
+       includeExtra: param('includeExtra') === undefined || isFlagSet(param('includeExtra')),
+       delimiter: param('delimiter'),
+       encoding: param('encoding'),
+       sheet: param('sheet'),
+       columnMap: param('columnMap'),
+       defaultCountry: param('defaultCountry'),
+       countryMismatch: param('countryMismatch'),
+       dedup: param('dedup'),
+       lineTypes: param('lineTypes'),
+       repair: isFlagSet(param('repair')),
+       phonePolicy: param('phonePolicy'),
+       phoneFormat: param('phoneFormat'),
+       seed: param('seed'),
+       generatedLineType: param('generatedLineType'),
+       localPresence: isFlagSet(param('localPresence')),
+       contactsPerNumber: param('contactsPerNumber'),
+       minPerCountry: param('minPerCountry'),
+       maxPerCountry: param('maxPerCountry'),
+       maxPerPrefix: param('maxPerPrefix'),
+       registry,
+       registryPath,
+       runId: id,
      });
 
      const buildFileInfo = (fileName) => {
@@ -119,6 +155,9 @@
        resumen: buildFileInfo('resumen_por_pais.csv'),
        numeros: buildFileInfo('numeros_generados.csv'),
        batch_calling: buildFileInfo('numeros_batch_calling.csv'),
+       rechazados: buildFileInfo('rechazados.csv'),
+       reparados: buildFileInfo('reparados.csv'),
+       cobertura: buildFileInfo('cobertura_prefijos.csv'),
      };
 
      if (clean) {
@@ -134,8 +173,16 @@
        body: JSON.stringify({
          outputId: id,
          resumen: result.resumen,
+         resumenTipos: result.resumenTipos,
          valid: result.valid,
          errors: result.errors,
+         warnings: result.warnings,
+         format: result.format,
+         columns: result.columns,
+         seed: result.seed,
+         shortfall: result.shortfall,
+         coverage: result.coverage,
+         runId: result.runId,
          files,
        }),
      };
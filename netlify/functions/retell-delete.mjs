@@ -1,4 +1,14 @@
 import { deletePhoneNumber } from '../../src/integrations/retellAI.js';
+import { updateCallerIdStatus, requireRegistryPath } from '../../src/registry/callerIdRegistry.js';
+
+/** Actualiza el registro de caller IDs sin cortar la operación en Retell si la escritura falla. */
+function updateRegistry(registryPath, phoneNumbers, status, details) {
+  try {
+    updateCallerIdStatus(phoneNumbers, status, details, registryPath);
+  } catch (e) {
+    console.error('Error actualizando el registro de caller IDs:', e.message);
+  }
+}
 
 function corsHeaders() {
   return {
@@ -33,7 +43,7 @@ export const handler = async (event) => {
     }
 
     const body = JSON.parse(event.body || '{}');
-    const { apiKey, phoneNumber } = body;
+    const { apiKey, phoneNumber, reason } = body;
     if (!apiKey) {
       return {
         statusCode: 400,
@@ -42,8 +52,12 @@ export const handler = async (event) => {
       };
     }
 
+    // Antes de eliminar: un número retirado sin registrar podría volver a generarse
+    const registryPath = requireRegistryPath();
     const result = await deletePhoneNumber({ apiKey, phoneNumberId, phoneNumber });
     if (result.success) {
+      const retired = phoneNumber || (/^\+?\d{8,15}$/.test(phoneNumberId) ? phoneNumberId : '');
+      if (retired) updateRegistry(registryPath, retired, 'retired', { reason });
       return {
         statusCode: 200,
         headers: { ...corsHeaders(), 'Content-Type': 'application/json' },
@@ -1,4 +1,14 @@
 import { importPhoneNumber } from '../../src/integrations/retellAI.js';
+import { updateCallerIdStatus, requireRegistryPath } from '../../src/registry/callerIdRegistry.js';
+
+/** Actualiza el registro de caller IDs sin cortar la operación en Retell si la escritura falla. */
+function updateRegistry(registryPath, phoneNumbers, status, details) {
+  try {
+    updateCallerIdStatus(phoneNumbers, status, details, registryPath);
+  } catch (e) {
+    console.error('Error actualizando el registro de caller IDs:', e.message);
+  }
+}
 
 function generateIncrementalNickname(baseNickname, index) {
   if (!baseNickname || baseNickname.trim() === '') return '';
@@ -74,6 +84,9 @@ export const handler = async (event) => {
       };
     }
 
+    // Antes de importar: un número importado sin registrar podría volver a generarse
+    const registryPath = requireRegistryPath();
+
     const importConfig = {
       terminationUri,
       outboundAgentId,
@@ -97,8 +110,12 @@ export const handler = async (event) => {
         nickname: currentNickname,
       });
       results.push({ phoneNumber, ...result });
-      if (result.success) imported++;
-      else failed++;
+      if (result.success) {
+        imported++;
+        updateRegistry(registryPath, phoneNumber, 'imported', { nickname: currentNickname });
+      } else {
+        failed++;
+      }
       if (i < phoneNumbers.length - 1) {
         await new Promise((r) => setTimeout(r, 100));
       }
@@ -11,9 +11,13 @@ import { readFileSync, mkdirSync, existsSync } from 'fs';
 import { join } from 'path';
 import { randomUUID } from 'crypto';
 import cors from 'cors';
-import { processFromString } from './src/index.js';
+import { processFromString, detectColumnsFromString } from './src/index.js';
+import { isSpreadsheetFile } from './src/parser/spreadsheetParser.js';
 import { importPhoneNumber, deletePhoneNumber, importPhoneNumbersBatch, listPhoneNumbers, createBatchCall, listBatchCalls } from './src/integrations/retellAI.js';
 import { parseBatchCallCSV, groupContactsByPrefix } from './src/batchCall/batchCallUtils.js';
+import { parseFormattedPhone } from './src/exporter/phoneFormat.js';
+import { getCountryIso } from './src/config/countryRules.js';
+import { updateCallerIdStatus } from './src/registry/callerIdRegistry.js';
 
 /**
  * Genera un nickname incremental basado en un patrón
@@ -65,42 +69,126 @@ const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 },
   fileFilter: (_, file, cb) => {
-    if (!file.originalname || !/\.csv$/i.test(file.originalname)) {
-      cb(new Error('Solo se aceptan archivos .csv'));
+    if (!file.originalname || !(/\.csv$/i.test(file.originalname) || isSpreadsheetFile(file.originalname))) {
+      cb(new Error('Solo se aceptan archivos .csv, .xlsx, .xls u .ods'));
       return;
     }
     cb(null, true);
   },
 });
 
-// Acepta JSON ({ csvContent, clean }) o multipart (campo "file"). Devuelve files con { filename, content } para que el frontend funcione igual en local y Netlify.
-app.post('/api/process', (req, res, next) => {
+/**
+ * Lee el archivo y los parámetros de una petición de procesamiento.
+ * - JSON: { csvContent | csvBase64, ...parámetros }. csvBase64 conserva los bytes originales
+ *   para poder detectar la codificación (o leer un XLSX/ODS).
+ * - Multipart: archivo en el campo "file"; parámetros como campos del formulario o en la query.
+ * @param {import('express').Request} req
+ * @returns {{ content: string|Buffer|null, param: (name: string) => any }}
+ */
+function readUploadRequest(req) {
+  if (req.is('application/json')) {
+    const body = req.body || {};
+    const content = body.csvBase64 ? Buffer.from(String(body.csvBase64), 'base64') : body.csvContent ?? '';
+    return { content, param: (name) => body[name] };
+  }
+  return {
+    content: req.file?.buffer || null,
+    param: (name) => req.body?.[name] ?? req.query[name],
+  };
+}
+
+/** Interpreta flags que pueden llegar como boolean, "1" o "true". */
+function isFlagSet(value) {
+  return value === true || value === 1 || ['1', 'true'].includes(String(value ?? '').toLowerCase());
+}
+
+/**
+ * Actualiza el registro de caller IDs sin cortar la operación en Retell si la escritura falla.
+ * @param {string|string[]} phoneNumbers
+ * @param {'imported'|'retired'} status
+ * @param {Object} [details] - ej. { nickname } o { reason }
+ */
+function updateRegistry(phoneNumbers, status, details) {
+  try {
+    updateCallerIdStatus(phoneNumbers, status, details);
+  } catch (e) {
+    console.error('Error actualizando el registro de caller IDs:', e.message);
+  }
+}
+
+/** Multer solo para multipart: las peticiones JSON pasan directamente. */
+function uploadIfMultipart(req, res, next) {
   const ct = (req.headers['content-type'] || '').toLowerCase();
   if (ct.includes('application/json')) return next();
   upload.single('file')(req, res, next);
-}, (req, res) => {
+}
+
+/** Opciones de lectura comunes a /api/process y /api/detect-columns. */
+function readOptionsFromRequest(param) {
+  return {
+    delimiter: param('delimiter'),
+    encoding: param('encoding'),
+    sheet: param('sheet'),
+    columnMap: param('columnMap'),
+  };
+}
+
+// Acepta JSON ({ csvContent | csvBase64, clean, includeExtra, delimiter, encoding, sheet, columnMap }) o multipart (campo "file").
+// csvBase64 y "file" pueden ser también XLSX/XLS/ODS (sheet elige la hoja).
+// Devuelve files con { filename, content } para que el frontend funcione igual en local y Netlify.
+// delimiter/encoding son opcionales: si faltan (o valen "auto") se detectan del contenido.
+// columnMap fija columnas por nombre o índice: { "phone": "Celular", "pais": "Country" } o "phone=Celular,pais=Country".
+// defaultCountry: región para números locales si la fila no trae país; countryMismatch: warn | error | ignore.
+// dedup: none | first | last | merge (duplicados por E.164; los descartados vuelven en errors).
+// lineTypes: tipos de línea permitidos, ej. "MOBILE,FIXED_LINE_OR_MOBILE" (el resto se rechaza).
+// phonePolicy: all | first | mobile para filas con varios teléfonos (celdas "300... / 310..." o columnMap "phone=A|B").
+// phoneFormat: e164 | international | national | rfc3966 | digits para los teléfonos de los CSV generados.
+// repair=1: corrige los números inválidos que se puedan (antes/después en reparados.csv).
+// seed: semilla de los números generados (la usada vuelve en la respuesta para repetir la ejecución).
+// generatedLineType: MOBILE | FIXED_LINE | ANY; los países sin suficientes números vuelven en shortfall.
+// localPresence=1: caller IDs en los prefijos de los contactos (cobertura en cobertura_prefijos.csv).
+// contactsPerNumber, minPerCountry, maxPerCountry, maxPerPrefix: cuotas de números generados.
+// Por defecto no se regeneran los números del registro de caller IDs (generados, importados o retirados)
+// y los nuevos se registran con runId = outputId. registry=0 lo desactiva, para repetir exactamente
+// una ejecución con la misma seed (con el registro, sus números ya están excluidos).
+app.post('/api/process', uploadIfMultipart, (req, res) => {
   try {
-    let csvContent;
-    let clean;
-    if (req.is('application/json')) {
-      csvContent = req.body?.csvContent ?? '';
-      clean = !!req.body?.clean;
-    } else {
-      if (!req.file?.buffer) {
-        res.status(400).json({ error: 'Debe enviar un archivo CSV en el campo "file".' });
-        return;
-      }
-      csvContent = req.file.buffer.toString('utf8');
-      clean = String(req.query.clean || '').toLowerCase() === '1' || req.query.clean === 'true';
+    const { content: csvContent, param } = readUploadRequest(req);
+    if (!req.is('application/json') && !csvContent) {
+      res.status(400).json({ error: 'Debe enviar un archivo CSV en el campo "file".' });
+      return;
     }
-    if (!csvContent || typeof csvContent !== 'string') {
+    if (!csvContent || csvContent.length === 0) {
       res.status(400).json({ error: 'Debe enviar el CSV (csvContent en JSON o archivo en campo "file").' });
       return;
     }
+    const clean = isFlagSet(param('clean'));
     const id = randomUUID();
     const outDir = join(OUTPUT_DIR, id);
     mkdirSync(outDir, { recursive: true });
-    const result = processFromString(csvContent, { outputDir: outDir, exportCleanCsv: clean });
+    const result = processFromString(csvContent, {
+      outputDir: outDir,
+      exportCleanCsv: clean,
+      // Columnas extra del original en datos_limpios.csv salvo includeExtra=0/false
+      includeExtra: param('includeExtra') === undefined || isFlagSet(param('includeExtra')),
+      defaultCountry: param('defaultCountry'),
+      countryMismatch: param('countryMismatch'),
+      dedup: param('dedup'),
+      lineTypes: param('lineTypes'),
+      repair: isFlagSet(param('repair')),
+      phonePolicy: param('phonePolicy'),
+      phoneFormat: param('phoneFormat'),
+      seed: param('seed'),
+      generatedLineType: param('generatedLineType'),
+      localPresence: isFlagSet(param('localPresence')),
+      contactsPerNumber: param('contactsPerNumber'),
+      minPerCountry: param('minPerCountry'),
+      maxPerCountry: param('maxPerCountry'),
+      maxPerPrefix: param('maxPerPrefix'),
+      registry: param('registry') === undefined || isFlagSet(param('registry')),
+      runId: id,
+      ...readOptionsFromRequest(param),
+    });
     const buildFileInfo = (fileName) => {
       const p = join(outDir, fileName);
       if (!existsSync(p)) return null;
@@ -110,13 +198,24 @@ app.post('/api/process', (req, res, next) => {
       resumen: buildFileInfo('resumen_por_pais.csv'),
       numeros: buildFileInfo('numeros_generados.csv'),
       batch_calling: buildFileInfo('numeros_batch_calling.csv'),
+      rechazados: buildFileInfo('rechazados.csv'),
+      reparados: buildFileInfo('reparados.csv'),
+      cobertura: buildFileInfo('cobertura_prefijos.csv'),
     };
     if (clean) files.datos_limpios = buildFileInfo('datos_limpios.csv');
     res.json({
       outputId: id,
       resumen: result.resumen,
+      resumenTipos: result.resumenTipos,
       valid: result.valid,
       errors: result.errors,
+      warnings: result.warnings,
+      format: result.format,
+      columns: result.columns,
+      seed: result.seed,
+      shortfall: result.shortfall,
+      coverage: result.coverage,
+      runId: result.runId,
       files,
     });
   } catch (e) {
@@ -124,9 +223,25 @@ app.post('/api/process', (req, res, next) => {
   }
 });
 
+// Devuelve el mapeo de columnas inferido (con confianza por campo) y una vista previa,
+// para confirmarlo en el frontend antes de llamar a /api/process con columnMap.
+// Acepta la misma entrada que /api/process.
+app.post('/api/detect-columns', uploadIfMultipart, (req, res) => {
+  try {
+    const { content, param } = readUploadRequest(req);
+    if (!content || content.length === 0) {
+      res.status(400).json({ error: 'Debe enviar el CSV (csvContent en JSON o archivo en campo "file").' });
+      return;
+    }
+    res.json(detectColumnsFromString(content, readOptionsFromRequest(param)));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 app.get('/api/download/:id/:name', (req, res) => {
   const { id, name } = req.params;
-  const allowed = ['resumen_por_pais.csv', 'numeros_generados.csv', 'numeros_batch_calling.csv', 'datos_limpios.csv'];
+  const allowed = ['resumen_por_pais.csv', 'numeros_generados.csv', 'numeros_batch_calling.csv', 'datos_limpios.csv', 'rechazados.csv', 'reparados.csv', 'cobertura_prefijos.csv'];
   if (!allowed.includes(name)) {
     res.status(404).end();
     return;
@@ -142,7 +257,7 @@ app.get('/api/download/:id/:name', (req, res) => {
 });
 
 /**
- * Lee números telefónicos del CSV generado
+ * Lee números telefónicos del CSV generado (en cualquier phoneFormat; el nacional usa el país de la fila)
  * @param {string} filePath - Ruta al archivo numeros_generados.csv
  * @returns {string[]} - Array de números en formato E.164 con +
  */
@@ -159,14 +274,15 @@ function readPhoneNumbersFromCSV(filePath) {
     const line = lines[i].trim();
     if (!line) continue;
     
-    // Parsear CSV: pais,"numero1, numero2, numero3"
-    const match = line.match(/^[^,]+,"([^"]+)"/);
+    // Parsear CSV: pais,"numero1, numero2, numero3" (sin comillas si el país tiene un solo número)
+    const match = line.match(/^([^,]+),"?([^"]+)"?$/);
     if (match) {
-      const numerosStr = match[1];
+      const iso = getCountryIso(match[1]);
+      const numerosStr = match[2];
       // Separar por coma y espacio
       const numeros = numerosStr.split(', ').map(n => n.trim()).filter(n => n);
-      // Agregar el + si no lo tiene
-      numbers.push(...numeros.map(n => n.startsWith('+') ? n : `+${n}`));
+      // Volver a E.164 con +
+      numbers.push(...numeros.map(n => parseFormattedPhone(n, iso)).filter(Boolean));
     }
   }
   
@@ -254,6 +370,7 @@ app.post('/api/retell/import-direct', async (req, res) => {
 
         if (result.success) {
           imported++;
+          updateRegistry(phoneNumber, 'imported', { nickname: currentNickname });
         } else {
           failed++;
         }
@@ -376,6 +493,7 @@ app.get('/api/retell/import-stream', async (req, res) => {
 
         if (result.success) {
           imported++;
+          updateRegistry(phoneNumber, 'imported', { nickname: currentNickname });
         } else {
           failed++;
         }
@@ -484,6 +602,7 @@ app.post('/api/retell/import', async (req, res) => {
       phoneNumbers,
       importConfig,
     });
+    updateRegistry(result.results.filter((r) => r.success).map((r) => r.phoneNumber), 'imported');
 
     res.json({
       success: true,
@@ -531,6 +650,7 @@ app.post('/api/retell/import-single', async (req, res) => {
     });
 
     if (result.success) {
+      updateRegistry(phoneNumber, 'imported', { nickname });
       res.json({ success: true, data: result.data });
     } else {
       res.status(400).json({ success: false, error: result.error });
@@ -569,13 +689,14 @@ app.get('/api/retell/list', async (req, res) => {
 /**
  * Endpoint para eliminar un número de Retell AI
  * DELETE /api/retell/delete/:phoneNumberId
- * Body: { apiKey: string, phoneNumber?: string }
+ * Body: { apiKey: string, phoneNumber?: string, reason?: string }
  * Nota: phoneNumberId puede ser el ID o el número telefónico mismo
+ * El número queda como retirado en el registro de caller IDs (reason: motivo, ej. "spam")
  */
 app.delete('/api/retell/delete/:phoneNumberId', async (req, res) => {
   try {
     const { phoneNumberId } = req.params;
-    const { apiKey, phoneNumber } = req.body;
+    const { apiKey, phoneNumber, reason } = req.body;
 
     if (!apiKey) {
       res.status(400).json({ error: 'API Key es requerida en el body' });
@@ -589,6 +710,8 @@ app.delete('/api/retell/delete/:phoneNumberId', async (req, res) => {
     });
 
     if (result.success) {
+      const retired = phoneNumber || (/^\+?\d{8,15}$/.test(phoneNumberId) ? phoneNumberId : '');
+      if (retired) updateRegistry(retired, 'retired', { reason });
       res.json({ success: true });
     } else {
       res.status(400).json({ success: false, error: result.error });
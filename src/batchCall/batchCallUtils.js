@@ -5,8 +5,10 @@
  */
 
 import { extractPrefix } from '../generator/numberGenerator.js';
-import { COUNTRY_RULES, getCountryRule } from '../config/countryRules.js';
+import { getCountryRuleByIso } from '../config/countryRules.js';
+import { resolveDialCode } from '../config/dialCodes.js';
 import { parseCsvString } from '../parser/csvParser.js';
+import { normalize } from '../normalizer/normalizer.js';
 
 /**
  * Extrae el código de país de un número E.164
@@ -18,38 +20,7 @@ export function extractCountryCode(phoneNumber) {
     return null;
   }
 
-  // Remover el + si existe
-  const digits = phoneNumber.replace(/^\+/, '');
-
-  // Intentar detectar código de país común
-  // Códigos de 1 dígito: 1 (USA/Canadá)
-  if (digits.startsWith('1') && digits.length >= 11) {
-    return '1';
-  }
-
-  // Códigos de 2 dígitos comunes
-  const twoDigitCodes = ['54', '52', '34', '57', '56', '51', '55', '33', '39', '44', '49', '86', '81', '82', '91'];
-  for (const code of twoDigitCodes) {
-    if (digits.startsWith(code)) {
-      return code;
-    }
-  }
-
-  // Códigos de 3 dígitos (menos comunes)
-  if (digits.length >= 3) {
-    const threeDigit = digits.slice(0, 3);
-    // Algunos códigos de 3 dígitos conocidos
-    if (['212', '213', '216', '218', '220', '221', '222', '223', '224', '225', '226', '227', '228', '229', '230', '231', '232', '233', '234', '235', '236', '237', '238', '239', '240', '241', '242', '243', '244', '245', '246', '247', '248', '249', '250', '251', '252', '253', '254', '255', '256', '257', '258', '260', '261', '262', '263', '264', '265', '266', '267', '268', '269', '290', '291', '297', '298', '299'].includes(threeDigit)) {
-      return threeDigit;
-    }
-  }
-
-  // Fallback: tomar primeros 2 dígitos
-  if (digits.length >= 2) {
-    return digits.slice(0, 2);
-  }
-
-  return null;
+  return resolveDialCode(phoneNumber)?.dialCode || null;
 }
 
 /**
@@ -62,22 +33,15 @@ export function extractPrefixForGrouping(phoneNumber) {
     return null;
   }
 
-  const countryCode = extractCountryCode(phoneNumber);
-  if (!countryCode) {
+  const resolved = resolveDialCode(phoneNumber);
+  if (!resolved) {
     return null;
   }
 
-  // Obtener regla del país si existe
-  const countries = Object.keys(COUNTRY_RULES);
-  let rule = null;
-  for (const country of countries) {
-    if (COUNTRY_RULES[country].code === countryCode) {
-      rule = COUNTRY_RULES[country];
-      break;
-    }
-  }
+  // Regla del país del número (en +1, el que corresponde al código de área)
+  const rule = getCountryRuleByIso(resolved.iso);
 
-  return extractPrefix(phoneNumber, countryCode, rule);
+  return extractPrefix(phoneNumber, resolved.dialCode, rule);
 }
 
 /**
@@ -178,7 +142,8 @@ export function groupContactsByPrefix(contacts, generatedNumbers) {
 }
 
 /**
- * Parsea un CSV para batch calls, extrayendo phone_number y variables personalizadas
+ * Parsea un CSV para batch calls, extrayendo phone_number y variables personalizadas.
+ * Si el CSV no trae columna timezone, se añade como variable la zona IANA inferida del número.
  * @param {string} csvContent - Contenido del CSV como string
  * @returns {Promise<{success: boolean, contacts?: Array, error?: string, preview?: Array}>}
  */
@@ -197,13 +162,15 @@ export async function parseBatchCallCSV(csvContent) {
     // Primera fila es el header
     const header = rows[0].map(h => (h || '').trim());
     
-    // Buscar columna de phone_number (case-insensitive)
-    const phoneNumberIndex = header.findIndex(h => 
-      /^phone[_\s]?number$/i.test(h) || 
-      /^telefono$/i.test(h) || 
-      /^tel$/i.test(h) ||
-      /^phone$/i.test(h)
-    );
+    // Buscar columna de phone_number (case-insensitive), por orden de preferencia.
+    // full_e164 va antes que phone para que datos_limpios.csv se pueda usar directamente
+    // (su columna phone conserva el valor original, sin normalizar).
+    const phoneColumnPatterns = [/^phone[_\s]?number$/i, /^full_e164$/i, /^e164$/i, /^telefono$/i, /^tel$/i, /^phone$/i];
+    let phoneNumberIndex = -1;
+    for (const pattern of phoneColumnPatterns) {
+      phoneNumberIndex = header.findIndex(h => pattern.test(h));
+      if (phoneNumberIndex !== -1) break;
+    }
 
     if (phoneNumberIndex === -1) {
       return { 
@@ -249,6 +216,12 @@ export async function parseBatchCallCSV(csvContent) {
         }
       }
 
+      // Zona horaria del contacto (ej. para no llamar de madrugada); la del CSV tiene prioridad
+      if (!variables.timezone) {
+        const timezone = normalize(normalizedPhone).timezone;
+        if (timezone) variables.timezone = timezone;
+      }
+
       contacts.push({
         phone_number: normalizedPhone,
         variables: Object.keys(variables).length > 0 ? variables : undefined,
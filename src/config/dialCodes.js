@@ -0,0 +1,117 @@
+/**
+ * Resolución del código de marcación internacional (ITU E.164) de un número.
+ *
+ * Un único trie con todos los códigos de los metadatos de libphonenumber-js (países y códigos
+ * no geográficos como +800 o +882) busca el prefijo más largo que sea un código válido.
+ * En códigos compartidos se resuelve el país: +1 por código de área (USA, Canadá, Caribe...)
+ * y el resto (+7, +44, +590...) por los dígitos iniciales de cada territorio.
+ */
+
+import { Metadata } from 'libphonenumber-js/core';
+import metadata from 'libphonenumber-js/metadata.max.json';
+import { getCountryRuleByIso, getCountryName } from './countryRules.js';
+
+// Región que libphonenumber usa para los códigos no geográficos (+800, +882...)
+const NON_GEOGRAPHIC = '001';
+
+function buildTrie() {
+  const root = { children: new Map(), code: null };
+  const codes = [...Object.keys(metadata.country_calling_codes), ...Object.keys(metadata.nonGeographic || {})];
+  for (const code of codes) {
+    let node = root;
+    for (const d of code) {
+      if (!node.children.has(d)) node.children.set(d, { children: new Map(), code: null });
+      node = node.children.get(d);
+    }
+    node.code = code;
+  }
+  return root;
+}
+
+const TRIE = buildTrie();
+const plans = new Metadata(metadata);
+
+let nanpAreaCodes = null; // NPA -> ISO, se construye con el primer +1
+
+function getNanpAreaCodes() {
+  if (nanpAreaCodes) return nanpAreaCodes;
+  nanpAreaCodes = new Map();
+  // El país principal (USA) va al final: si un NPA apareciera en dos planes, gana el territorio
+  const [main, ...others] = metadata.country_calling_codes['1'];
+  for (const iso of [...others, main]) {
+    for (const npa of getCountryRuleByIso(iso)?.areaCodes || []) {
+      if (!nanpAreaCodes.has(npa)) nanpAreaCodes.set(npa, iso);
+    }
+  }
+  return nanpAreaCodes;
+}
+
+const NUMBER_TYPES = ['FIXED_LINE', 'MOBILE', 'TOLL_FREE', 'PREMIUM_RATE', 'SHARED_COST', 'VOIP', 'PERSONAL_NUMBER', 'PAGER', 'UAN', 'VOICEMAIL'];
+
+// Indica si el número nacional encaja en algún tipo de número del plan del territorio
+function matchesPlan(iso, national) {
+  plans.selectNumberingPlan(iso);
+  return NUMBER_TYPES.some((type) => {
+    const pattern = plans.numberingPlan.type(type)?.pattern();
+    return pattern && new RegExp(`^(?:${pattern})$`).test(national);
+  });
+}
+
+// Territorio de un código compartido distinto de +1 (ej. +7 Kazajistán, +44 Jersey):
+// por sus dígitos iniciales si los metadatos los definen, si no por sus patrones de número
+function resolveSharedCode(isos, national) {
+  const [main, ...others] = isos;
+  for (const iso of others) {
+    plans.selectNumberingPlan(iso);
+    const leading = plans.numberingPlan.leadingDigits();
+    if (leading) {
+      if (new RegExp(`^(?:${leading})`).test(national)) return iso;
+    } else if (matchesPlan(iso, national)) {
+      return iso;
+    }
+  }
+  return main;
+}
+
+/**
+ * Busca el código de marcación más largo al inicio de los dígitos.
+ * @param {string} digits - Número E.164 con o sin "+"
+ * @returns {string|null} - ej: '971', o null si no empieza por ningún código
+ */
+export function lookupDialCode(digits) {
+  const d = String(digits || '').replace(/\D/g, '');
+  let node = TRIE;
+  let found = null;
+  for (const c of d.slice(0, 3)) {
+    node = node.children.get(c);
+    if (!node) break;
+    if (node.code) found = node.code;
+  }
+  return found && d.length > found.length ? found : null;
+}
+
+/**
+ * Resuelve código de marcación, número nacional y país de un número E.164.
+ * @param {string} e164 - ej: '+18095551234'
+ * @returns {{ dialCode: string, national: string, iso: string|null, country: string|null }|null}
+ *   iso: ISO alpha-2 ('001' en códigos no geográficos); country: clave en COUNTRY_RULES
+ */
+export function resolveDialCode(e164) {
+  const digits = String(e164 || '').replace(/\D/g, '');
+  const dialCode = lookupDialCode(digits);
+  if (!dialCode) return null;
+
+  const national = digits.slice(dialCode.length);
+  const isos = metadata.country_calling_codes[dialCode];
+  let iso = NON_GEOGRAPHIC;
+  if (dialCode === '1') {
+    iso = getNanpAreaCodes().get(national.slice(0, 3)) || isos[0];
+  } else if (isos && isos.length > 1) {
+    iso = resolveSharedCode(isos, national);
+  } else if (isos) {
+    iso = isos[0];
+  }
+
+  const country = iso === NON_GEOGRAPHIC ? null : getCountryName(iso);
+  return { dialCode, national, iso, country };
+}
@@ -0,0 +1,157 @@
+/**
+ * Expande un patrón de libphonenumber (ej: "(?:6\d|7[1-48])\d{7}") al conjunto de prefijos
+ * de N dígitos con los que puede empezar un número que lo cumpla.
+ *
+ * Los patrones de los metadatos solo usan dígitos, \d, clases [...], grupos (?:...),
+ * alternativas | y cuantificadores ?, {n}, {n,m}; con eso basta un parser pequeño.
+ */
+
+const DIGITS = '0123456789';
+
+/**
+ * Parsea el patrón a un árbol: { alt: Seq[] }, donde Seq = Array<{ atom, min, max }>
+ * y atom = { chars: string } | { alt: Seq[] }.
+ * @param {string} pattern
+ * @returns {{ alt: Array }}
+ */
+function parsePattern(pattern) {
+  let pos = 0;
+
+  function parseAlternation() {
+    const alt = [parseSequence()];
+    while (pattern[pos] === '|') {
+      pos++;
+      alt.push(parseSequence());
+    }
+    return { alt };
+  }
+
+  function parseSequence() {
+    const seq = [];
+    while (pos < pattern.length && pattern[pos] !== '|' && pattern[pos] !== ')') {
+      const atom = parseAtom();
+      const { min, max } = parseQuantifier();
+      seq.push({ atom, min, max });
+    }
+    return seq;
+  }
+
+  function parseAtom() {
+    const c = pattern[pos];
+    if (c === '(') {
+      pos += pattern.startsWith('(?:', pos) ? 3 : 1;
+      const group = parseAlternation();
+      if (pattern[pos] !== ')') throw new Error(`Patrón inválido: falta ")" en ${pattern}`);
+      pos++;
+      return group;
+    }
+    if (c === '[') {
+      const end = pattern.indexOf(']', pos);
+      if (end === -1) throw new Error(`Patrón inválido: falta "]" en ${pattern}`);
+      const body = pattern.slice(pos + 1, end);
+      pos = end + 1;
+      return { chars: expandClass(body) };
+    }
+    if (c === '\\') {
+      const escaped = pattern[pos + 1];
+      pos += 2;
+      return { chars: escaped === 'd' ? DIGITS : escaped };
+    }
+    pos++;
+    return { chars: c };
+  }
+
+  function parseQuantifier() {
+    const c = pattern[pos];
+    if (c === '?') { pos++; return { min: 0, max: 1 }; }
+    if (c === '*') { pos++; return { min: 0, max: Infinity }; }
+    if (c === '+') { pos++; return { min: 1, max: Infinity }; }
+    if (c === '{') {
+      const end = pattern.indexOf('}', pos);
+      const [a, b] = pattern.slice(pos + 1, end).split(',');
+      pos = end + 1;
+      const min = parseInt(a, 10);
+      const max = b === undefined ? min : (b === '' ? Infinity : parseInt(b, 10));
+      return { min, max };
+    }
+    return { min: 1, max: 1 };
+  }
+
+  const tree = parseAlternation();
+  if (pos < pattern.length) throw new Error(`Patrón inválido: ")" sobrante en ${pattern}`);
+  return tree;
+}
+
+function expandClass(body) {
+  const negated = body.startsWith('^');
+  const src = negated ? body.slice(1) : body;
+  let chars = '';
+  for (let i = 0; i < src.length; i++) {
+    if (src[i] === '\\' && src[i + 1] === 'd') {
+      chars += DIGITS;
+      i++;
+    } else if (src[i + 1] === '-' && i + 2 < src.length) {
+      for (let d = src.charCodeAt(i); d <= src.charCodeAt(i + 2); d++) chars += String.fromCharCode(d);
+      i += 2;
+    } else {
+      chars += src[i];
+    }
+  }
+  return negated ? [...DIGITS].filter((d) => !chars.includes(d)).join('') : chars;
+}
+
+// Concatena cada prefijo de `left` con cada opción, sin pasar de `length` dígitos.
+// Un prefijo que ya tiene `length` dígitos no se extiende.
+function join(left, options, length) {
+  const out = new Set();
+  for (const s of left) {
+    if (s.length >= length) {
+      out.add(s);
+      continue;
+    }
+    for (const t of options) out.add((s + t).slice(0, length));
+  }
+  return out;
+}
+
+function repeatPrefixes(atom, min, max, length) {
+  const unit = prefixesOf(atom, length);
+  const out = min === 0 ? new Set(['']) : new Set();
+  let repeated = new Set(['']);
+  for (let i = 1; i <= max; i++) {
+    const next = join(repeated, unit, length);
+    const stalled = next.size === repeated.size && [...next].every((s) => repeated.has(s));
+    repeated = next;
+    if (i >= min) repeated.forEach((s) => out.add(s));
+    // Cuando todas las ramas ya tienen `length` dígitos, repetir más no cambia nada
+    if (i >= min && (stalled || [...repeated].every((s) => s.length >= length))) break;
+  }
+  return out;
+}
+
+// Prefijos de hasta `length` dígitos (más cortos solo si el nodo puede terminar antes)
+function prefixesOf(node, length) {
+  if (node.chars !== undefined) return new Set(node.chars);
+  const out = new Set();
+  for (const seq of node.alt) {
+    let current = new Set(['']);
+    for (const { atom, min, max } of seq) {
+      current = join(current, repeatPrefixes(atom, min, max, length), length);
+    }
+    current.forEach((s) => out.add(s));
+  }
+  return out;
+}
+
+/**
+ * Prefijos de `length` dígitos con los que puede empezar un número que cumple el patrón.
+ * @param {string} pattern - Patrón de libphonenumber (sin anclas)
+ * @param {number} length - Dígitos del prefijo (ej: 2 → "60", "61"...)
+ * @returns {string[]} Ordenados; vacío si el patrón no admite números de esa longitud
+ */
+export function patternPrefixes(pattern, length) {
+  if (!pattern) return [];
+  return [...prefixesOf(parsePattern(pattern), length)]
+    .filter((p) => p.length === length)
+    .sort();
+}
@@ -0,0 +1,41 @@
+/**
+ * Rangos reservados o ficticios que libphonenumber-js da por válidos pero que no se pueden
+ * usar como caller ID: códigos de servicio N11 y números de ficción de NANP, y los rangos
+ * para cine y TV de Ofcom (Reino Unido) y ACMA (Australia).
+ */
+
+/** NANP (+1): NPA o central N11 (211, 311... 911), central 0XX/1XX, 555-01XX y centrales de prueba 958/959. */
+const NANP_RESERVED = [
+  /^[2-9]11/,
+  /^\d{3}(?:[2-9]11|[01])/,
+  /^\d{3}55501\d{2}$/,
+  /^\d{3}95[89]/,
+];
+
+/** Rangos de ficción por país (número nacional, sin el 0 troncal). */
+const FICTIONAL_RANGES = {
+  GB: [
+    /^7700900\d{3}$/,
+    /^(?:11[3-8]|1[2-6]1)4960\d{3}$/,
+    /^1914980\d{3}$/,
+    /^1632960\d{3}$/,
+    /^2079460\d{3}$/,
+    /^(?:2890|2920)180\d{3}$/,
+    /^3069990\d{3}$/,
+    /^8081570\d{3}$/,
+    /^9098790\d{3}$/,
+  ],
+  AU: [/^49157\d{4}$/, /^[27]5550\d{4}$/, /^[38]7010\d{4}$/],
+};
+
+/**
+ * Indica si el número está en un rango reservado o de ficción.
+ * @param {Object} rule - Regla del país (iso, code)
+ * @param {string} national - Número nacional (sin código de país)
+ * @returns {boolean}
+ */
+export function isReservedNumber(rule, national) {
+  if (!rule) return false;
+  if (rule.code === '1' && NANP_RESERVED.some((re) => re.test(national))) return true;
+  return (FICTIONAL_RANGES[rule.iso] || []).some((re) => re.test(national));
+}
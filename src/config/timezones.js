@@ -0,0 +1,29 @@
+/**
+ * Zona horaria IANA de un país sin tabla propia.
+ *
+ * Los países con varios husos (NANP, México, Brasil, Argentina) resuelven la zona por código
+ * de área en su módulo (src/countries). El resto solo tiene zona si el país tiene una única:
+ * se toma de los datos de ICU que trae Node (Intl.Locale#timeZones), sin acceso a red.
+ * ICU usa algunos nombres antiguos que IANA mantiene como alias (ej. Asia/Calcutta).
+ */
+
+const cache = new Map();
+
+/**
+ * Zona IANA del país si solo tiene una.
+ * @param {string} iso - ISO alpha-2 (ej: 'CO')
+ * @returns {string} - ej: 'America/Bogota'; '' si el país tiene varias zonas o no se conoce
+ */
+export function countryTimezone(iso) {
+  const key = String(iso || '').toUpperCase();
+  if (!/^[A-Z]{2}$/.test(key)) return '';
+  if (!cache.has(key)) {
+    let zones = [];
+    try {
+      const locale = new Intl.Locale(`und-${key}`);
+      zones = locale.timeZones || locale.getTimeZones?.() || [];
+    } catch (_) {}
+    cache.set(key, zones.length === 1 ? zones[0] : '');
+  }
+  return cache.get(key);
+}
@@ -0,0 +1,123 @@
+/**
+ * Argentina: +54 9 XX/XXX/XXXX + número. Nacional 10 dígitos (sin el 9 de móvil).
+ */
+
+import { randomDigits, randomItem } from '../generator/random.js';
+
+/**
+ * Códigos de área (característica interurbana, ENACOM) sin el 0 troncal.
+ * Área + número local = 10 dígitos: 11 → 8 dígitos locales, 351 → 7, 3541 → 6.
+ */
+export const ARGENTINA_AREA_CODES = new Set(`
+  11 220 221 223 230 236 237 249 260 261 263 264 266 280 291 294
+  297 298 299 336 341 342 343 345 348 351 353 358 362 364 370 376
+  379 380 381 383 385 387 388
+  2202 2221 2223 2224 2225 2226 2227 2229 2241 2242 2243 2244 2245 2246 2252 2254
+  2255 2257 2261 2262 2264 2265 2266 2267 2268 2271 2272 2273 2274 2281 2283 2284
+  2285 2286 2291 2292 2296 2297 2302 2314 2316 2317 2320 2323 2324 2325 2326 2331
+  2333 2334 2335 2336 2337 2338 2342 2343 2344 2345 2346 2352 2353 2354 2355 2356
+  2357 2358 2392 2393 2394 2395 2396 2473 2474 2475 2477 2478 2622 2624 2625 2626
+  2646 2647 2648 2651 2655 2656 2657 2658 2901 2902 2903 2920 2921 2922 2923 2924
+  2925 2926 2927 2928 2929 2931 2932 2933 2934 2935 2936 2940 2942 2945 2946 2948
+  2952 2953 2954 2962 2963 2964 2966 2972 2982 2983 3327 3329 3382 3385 3387 3388
+  3400 3401 3402 3404 3405 3406 3407 3408 3409 3435 3436 3437 3438 3442 3444 3445
+  3446 3447 3454 3455 3456 3458 3460 3462 3463 3464 3465 3466 3467 3468 3469 3471
+  3472 3476 3482 3483 3487 3489 3491 3492 3493 3496 3497 3498 3521 3522 3524 3525
+  3532 3533 3537 3541 3542 3543 3544 3546 3547 3548 3549 3562 3563 3564 3571 3572
+  3573 3574 3575 3576 3582 3583 3584 3585 3711 3715 3716 3718 3721 3725 3731 3734
+  3735 3741 3743 3751 3754 3755 3756 3757 3758 3772 3773 3774 3775 3777 3781 3782
+  3786 3821 3825 3826 3827 3832 3835 3837 3838 3841 3843 3844 3845 3846 3854 3855
+  3856 3857 3858 3861 3862 3863 3865 3867 3868 3869 3873 3876 3877 3878 3885 3886
+  3887 3888 3891 3892 3894
+`.split(/\s+/).filter(Boolean));
+
+/**
+ * Zona IANA por prefijo del código de área (gana el prefijo más largo).
+ * Todo el país está en UTC−3, pero IANA separa las provincias por su historia de cambios;
+ * lo que no aparece es America/Argentina/Buenos_Aires (Buenos Aires y CABA).
+ */
+const ARGENTINA_TIMEZONES = {
+  'America/Argentina/Cordoba': '3 2336', // Córdoba, Santa Fe, Entre Ríos, Santiago del Estero y el noreste
+  'America/Argentina/Buenos_Aires': '336 3327 3329 3388 348 3487 3489',
+  'America/Argentina/Tucuman': '381 3861 3862 3863 3865 3867 3869 3891 3892 3894',
+  'America/Argentina/Salta': '387 3868 3873 3876 3877 3878 294 298 299 2920 2931 2934 2940 2942 2946 2948 2972 2302 2331 2333 2334 2335 2338 2952 2953 2954', // Salta, Río Negro, Neuquén, La Pampa
+  'America/Argentina/Jujuy': '388',
+  'America/Argentina/Catamarca': '383 280 297 2903 2945', // Catamarca, Chubut
+  'America/Argentina/La_Rioja': '380 3821 3825 3826 3827',
+  'America/Argentina/Mendoza': '260 261 262 263',
+  'America/Argentina/San_Juan': '264',
+  'America/Argentina/San_Luis': '265 266',
+  'America/Argentina/Rio_Gallegos': '2902 2962 2963 2966', // Santa Cruz
+  'America/Argentina/Ushuaia': '2901 2964', // Tierra del Fuego
+};
+
+const TIMEZONE_BY_PREFIX = new Map(
+  Object.entries(ARGENTINA_TIMEZONES).flatMap(([zone, prefixes]) => prefixes.split(' ').map((p) => [p, zone]))
+);
+
+const AREA_CODES = [...ARGENTINA_AREA_CODES];
+
+// Código de área al inicio de los 10 dígitos área + local (el más largo que esté en la tabla)
+function findArea(digits) {
+  for (const len of [4, 3, 2]) {
+    const a = digits.slice(0, len);
+    if (ARGENTINA_AREA_CODES.has(a)) return a;
+  }
+  return '';
+}
+
+export default {
+  isos: ['AR'],
+
+  // E.164: 54 + (9) + área + local. Si tiene 11 dígitos y empieza con 9, el 9 es el indicador móvil.
+  normalize(national) {
+    let rest = national;
+    if (rest.length === 11 && rest.startsWith('9')) {
+      rest = rest.slice(1); // 10 dígitos: área + local
+    } else if (rest.length !== 10) {
+      return { area_code: '', local_number: national };
+    }
+    const area = findArea(rest);
+    return { area_code: area, local_number: rest.slice(area.length) };
+  },
+
+  // Formato nacional de móvil: 0 + área + 15 + local (ej. 011 15-1234-5678, 0351 15 555 1234).
+  // Se quita el 0 troncal y el 15, y se añade el 9 internacional: +54 9 área local.
+  preValidate(national) {
+    const digits = national.replace(/^0/, '');
+    if (digits.length !== 12) return null;
+    // El 15 tras el área decide la longitud del área (220 y 2202 son áreas distintas)
+    for (const len of [4, 3, 2]) {
+      const area = digits.slice(0, len);
+      if (ARGENTINA_AREA_CODES.has(area) && digits.slice(len, len + 2) === '15') {
+        return { national: `9${area}${digits.slice(len + 2)}`, repair: 'Móvil 0 + área + 15 convertido a +54 9' };
+      }
+    }
+    return null;
+  },
+
+  // +54 9 + código área (2-4, cualquiera de la tabla) + 6-8 dígitos. Total nacional 10.
+  generate() {
+    const area = randomItem(AREA_CODES);
+    return `+549${area}${randomDigits(10 - area.length)}`;
+  },
+
+  // Prefijo = 9 + código área completo
+  extractPrefix(national) {
+    if (!national.startsWith('9')) return national.slice(0, 2);
+    const area = findArea(national.slice(1));
+    return `9${area || national.slice(1, 3)}`;
+  },
+
+  // Zona por el código de área (con o sin el 9 de móvil)
+  timezone(national) {
+    const rest = national.length === 11 && national.startsWith('9') ? national.slice(1) : national;
+    const area = rest.length === 10 ? findArea(rest) : '';
+    if (!area) return '';
+    for (let len = area.length; len > 0; len--) {
+      const zone = TIMEZONE_BY_PREFIX.get(area.slice(0, len));
+      if (zone) return zone;
+    }
+    return 'America/Argentina/Buenos_Aires';
+  },
+};
@@ -0,0 +1,87 @@
+/**
+ * Brasil: +55 + DDD (2 dígitos) + número. Móviles 9XXXX-XXXX (11 nacional), fijos [2-5]XXX-XXXX (10).
+ *
+ * Desde 2016 todos los móviles llevan el noveno dígito (9 delante del número de 8 dígitos);
+ * los contactos antiguos guardados como DDD + 8 dígitos empezando por 6–9 se reparan añadiéndolo.
+ */
+
+import { randomDigits, randomItem } from '../generator/random.js';
+
+/** DDD válidos (Anatel) → estado (UF). */
+export const BRAZIL_DDDS = {
+  11: 'SP', 12: 'SP', 13: 'SP', 14: 'SP', 15: 'SP', 16: 'SP', 17: 'SP', 18: 'SP', 19: 'SP',
+  21: 'RJ', 22: 'RJ', 24: 'RJ', 27: 'ES', 28: 'ES',
+  31: 'MG', 32: 'MG', 33: 'MG', 34: 'MG', 35: 'MG', 37: 'MG', 38: 'MG',
+  41: 'PR', 42: 'PR', 43: 'PR', 44: 'PR', 45: 'PR', 46: 'PR', 47: 'SC', 48: 'SC', 49: 'SC',
+  51: 'RS', 53: 'RS', 54: 'RS', 55: 'RS',
+  61: 'DF', 62: 'GO', 63: 'TO', 64: 'GO', 65: 'MT', 66: 'MT', 67: 'MS', 68: 'AC', 69: 'RO',
+  71: 'BA', 73: 'BA', 74: 'BA', 75: 'BA', 77: 'BA', 79: 'SE',
+  81: 'PE', 82: 'AL', 83: 'PB', 84: 'RN', 85: 'CE', 86: 'PI', 87: 'PE', 88: 'CE', 89: 'PI',
+  91: 'PA', 92: 'AM', 93: 'PA', 94: 'PA', 95: 'RR', 96: 'AP', 97: 'AM', 98: 'MA', 99: 'MA',
+};
+
+const DDDS = Object.keys(BRAZIL_DDDS);
+
+/** Estado (UF) → zona IANA. El oeste de Pará (DDD 93) va aparte, en America/Santarem. */
+export const BRAZIL_TIMEZONES = {
+  SP: 'America/Sao_Paulo', RJ: 'America/Sao_Paulo', ES: 'America/Sao_Paulo', MG: 'America/Sao_Paulo',
+  PR: 'America/Sao_Paulo', SC: 'America/Sao_Paulo', RS: 'America/Sao_Paulo', DF: 'America/Sao_Paulo',
+  GO: 'America/Sao_Paulo',
+  BA: 'America/Bahia', SE: 'America/Maceio', AL: 'America/Maceio', PE: 'America/Recife',
+  PB: 'America/Fortaleza', RN: 'America/Fortaleza', CE: 'America/Fortaleza', PI: 'America/Fortaleza',
+  MA: 'America/Fortaleza',
+  PA: 'America/Belem', AP: 'America/Belem', TO: 'America/Araguaina',
+  MS: 'America/Campo_Grande', MT: 'America/Cuiaba', RO: 'America/Porto_Velho', AC: 'America/Rio_Branco',
+  AM: 'America/Manaus', RR: 'America/Boa_Vista',
+};
+
+// Números sin DDD: 0300/0500/0800/0900 (sin el 0) y 4003/4004 (8 dígitos, de alcance nacional)
+const NON_GEOGRAPHIC = /^(?:[3589]00\d{7}|[34]00\d{5})$/;
+
+export default {
+  isos: ['BR'],
+
+  normalize(national) {
+    if ((national.length !== 10 && national.length !== 11) || !BRAZIL_DDDS[national.slice(0, 2)]) {
+      return { area_code: '', local_number: national };
+    }
+    return { area_code: national.slice(0, 2), local_number: national.slice(2) };
+  },
+
+  // Antes de validar: quita el 0 troncal o el 55 repetido, comprueba el DDD
+  // y añade el noveno dígito a los móviles de 8 dígitos
+  preValidate(national) {
+    let digits = national;
+    if (/^0\d{10,11}$/.test(digits)) digits = digits.slice(1);
+    else if (/^55\d{10,11}$/.test(digits)) digits = digits.slice(2);
+    if (NON_GEOGRAPHIC.test(digits) || digits.length < 10 || digits.length > 11) {
+      return digits === national ? null : { national: digits };
+    }
+
+    const ddd = digits.slice(0, 2);
+    if (!BRAZIL_DDDS[ddd]) {
+      return { code: 'INVALID_AREA_CODE', error: `Código de área (DDD) inexistente en Brasil: ${ddd}` };
+    }
+    if (digits.length === 10 && /[6-9]/.test(digits[2])) {
+      return { national: `${ddd}9${digits.slice(2)}`, repair: 'Noveno dígito añadido al móvil' };
+    }
+    return digits === national ? null : { national: digits };
+  },
+
+  // +55 + DDD real + 9 + 8 dígitos (9XXXX-XXXX)
+  generate() {
+    return `+55${randomItem(DDDS)}9${randomDigits(8)}`;
+  },
+
+  // Prefijo = DDD + 9 + siguiente dígito: 551199, 552198...
+  extractPrefix(national) {
+    return national.length === 11 ? national.slice(0, 4) : national.slice(0, 2);
+  },
+
+  // Zona por el estado del DDD
+  timezone(national) {
+    const ddd = national.slice(0, 2);
+    if (ddd === '93') return 'America/Santarem';
+    return BRAZIL_TIMEZONES[BRAZIL_DDDS[ddd]] || '';
+  },
+};
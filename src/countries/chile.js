@@ -0,0 +1,48 @@
+/**
+ * Chile: +56 + 9 dígitos. Móviles 9 + 8; fijos 2 + 8 (Santiago) o área de 2 dígitos + 7.
+ */
+
+import { randomDigits } from '../generator/random.js';
+
+/** Códigos de área de fijos → zona. */
+export const CHILE_AREA_CODES = {
+  2: 'Santiago',
+  32: 'Valparaíso, Viña del Mar', 33: 'Quillota', 34: 'San Felipe, Los Andes', 35: 'San Antonio',
+  41: 'Concepción', 42: 'Chillán', 43: 'Los Ángeles', 45: 'Temuco',
+  51: 'La Serena, Coquimbo', 52: 'Copiapó', 53: 'Ovalle', 55: 'Antofagasta', 57: 'Iquique', 58: 'Arica',
+  61: 'Punta Arenas', 63: 'Valdivia', 64: 'Osorno', 65: 'Puerto Montt', 67: 'Coyhaique',
+  71: 'Talca', 72: 'Rancagua', 73: 'Linares', 75: 'Curicó',
+};
+
+// Área de un fijo de 9 dígitos: 2 (Santiago) o la de 2 dígitos de la tabla
+function findArea(national) {
+  if (national[0] === '2') return '2';
+  return CHILE_AREA_CODES[national.slice(0, 2)] ? national.slice(0, 2) : '';
+}
+
+export default {
+  isos: ['CL'],
+
+  normalize(national) {
+    if (national.length === 9 && national[0] === '9') {
+      return { area_code: '9', local_number: national.slice(1), line_type: 'MOBILE' };
+    }
+    const area = national.length === 9 ? findArea(national) : '';
+    if (!area) {
+      return { area_code: '', local_number: national };
+    }
+    return { area_code: area, local_number: national.slice(area.length), line_type: 'FIXED_LINE' };
+  },
+
+  // Móvil: +56 9 + 8 dígitos (libphonenumber da todo como FIXED_LINE_OR_MOBILE, así que el
+  // prefijo 9 es lo único que lo separa de un fijo)
+  generate(rule) {
+    return `+${rule.code}9${randomDigits(8, false)}`;
+  },
+
+  // Móviles: 9 + primer dígito (569x); fijos: código de área (562, 5632...)
+  extractPrefix(national) {
+    if (national[0] === '9') return national.slice(0, 2);
+    return findArea(national) || national.slice(0, 2);
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * Colombia: +57 + 10 dígitos. Móviles 3XX + 7; fijos (plan de 2021) 60X + 7,
+ * donde X es la región (601 Bogotá, 604 Medellín...).
+ */
+
+import defaultModule from './default.js';
+import { randomDigits, randomItem } from '../generator/random.js';
+
+/** Indicativos de fijos del plan de 2021 → departamentos que cubren. */
+export const COLOMBIA_AREA_CODES = {
+  601: 'Bogotá, Cundinamarca',
+  602: 'Cali, Valle del Cauca, Cauca, Nariño',
+  604: 'Medellín, Antioquia, Córdoba, Chocó',
+  605: 'Barranquilla, Cartagena, Atlántico, Bolívar, Cesar, La Guajira, Magdalena, Sucre, San Andrés',
+  606: 'Pereira, Manizales, Armenia (Eje Cafetero)',
+  607: 'Bucaramanga, Cúcuta, Santander, Norte de Santander, Arauca',
+  608: 'Tunja, Ibagué, Neiva, Villavicencio, Boyacá, Tolima, Huila, Meta y Orinoquía/Amazonía',
+};
+
+export default {
+  isos: ['CO'],
+
+  normalize(national) {
+    if (national.length !== 10) {
+      return { area_code: '', local_number: national };
+    }
+    if (national[0] === '3') {
+      return { area_code: national.slice(0, 3), local_number: national.slice(3), line_type: 'MOBILE' }; // 300, 310, 311, ...
+    }
+    if (COLOMBIA_AREA_CODES[national.slice(0, 3)]) {
+      return { area_code: national.slice(0, 3), local_number: national.slice(3), line_type: 'FIXED_LINE' }; // 601, 604, ...
+    }
+    return { area_code: '', local_number: national };
+  },
+
+  generate: defaultModule.generate,
+
+  // Fijo del plan de 2021: +57 60X + 7 dígitos (el patrón de libphonenumber admite aún los de 8)
+  generateFixedLine(rule) {
+    return `+${rule.code}${randomItem(Object.keys(COLOMBIA_AREA_CODES))}${randomDigits(7)}`;
+  },
+
+  // Prefijo = 3XX o 60X: 57300, 57601 (misma ciudad en los fijos)
+  extractPrefix(national) {
+    return national.slice(0, 3);
+  },
+};
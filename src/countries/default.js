@@ -0,0 +1,26 @@
+/**
+ * Módulo por defecto: cualquier país de COUNTRY_RULES sin módulo propio.
+ * Sin código de área; genera móviles con los prefijos y la longitud de las reglas.
+ */
+
+import { randomDigits, randomItem } from '../generator/random.js';
+
+export default {
+  isos: [],
+
+  normalize(national) {
+    return { area_code: '', local_number: national };
+  },
+
+  // +[código] + prefijo móvil de las reglas + dígitos hasta la longitud nacional de los móviles
+  generate(rule) {
+    const pre = randomItem(rule.mobilePrefixes || []);
+    if (!pre) return `+${rule.code}${randomDigits(rule.nationalLength)}`;
+    return `+${rule.code}${pre}${randomDigits(rule.nationalLength - pre.length, false)}`;
+  },
+
+  // Código país + primeros 2 dígitos
+  extractPrefix(national) {
+    return national.slice(0, 2);
+  },
+};
@@ -0,0 +1,94 @@
+/**
+ * México: +52 + área (2 o 3 dígitos) + número. Total nacional 10.
+ *
+ * Desde 2019–2020 ya no se marca el 1 de móvil (+521), ni 044/045 (móvil local/larga distancia)
+ * ni 01 (larga distancia); muchos CRM aún los guardan y se reescriben a +52 + 10 dígitos.
+ */
+
+import { randomDigits, randomItem } from '../generator/random.js';
+
+// Prefijos retirados delante de los 10 dígitos, con la reparación que se informa
+const LEGACY_PREFIXES = [
+  { pattern: /^521(\d{10})$/, repair: 'Prefijo móvil 521 retirado' },
+  { pattern: /^1(\d{10})$/, repair: 'Prefijo móvil 1 retirado (+521)' },
+  { pattern: /^(04[45])(\d{10})$/, repair: 'Prefijo móvil $1 retirado' },
+  { pattern: /^01(\d{10})$/, repair: 'Prefijo de larga distancia 01 retirado' },
+];
+
+// Número nacional del plan actual (10 dígitos) y la reparación aplicada, o null si no hay prefijo retirado
+function stripLegacyPrefix(national) {
+  for (const { pattern, repair } of LEGACY_PREFIXES) {
+    const m = pattern.exec(national);
+    if (m) return { national: m[m.length - 1], repair: repair.replace('$1', m[1]) };
+  }
+  return null;
+}
+
+/**
+ * Zona IANA por código de área (2 o 3 dígitos) en los estados fuera de America/Mexico_City,
+ * el huso del centro y del resto del país.
+ */
+const MEXICO_TIMEZONES = {
+  'America/Tijuana': '616 646 658 661 664 665 686', // Baja California
+  'America/Hermosillo': '622 623 631 632 633 634 637 638 641 642 643 644 645 647 653 662', // Sonora
+  'America/Mazatlan': '311 319 323 324 325 327 389 612 613 615 624 667 668 669 672 673 687 694 695 696 697 698', // Nayarit, Baja California Sur, Sinaloa
+  'America/Bahia_Banderas': '329',
+  'America/Chihuahua': '614 621 625 627 628 629 635 636 639 648 649',
+  'America/Ciudad_Juarez': '656',
+  'America/Ojinaga': '626',
+  'America/Matamoros': '867 868 877 878 891 894 897 899', // Frontera de Coahuila y Tamaulipas
+  'America/Monterrey': '81 618 671 674 675 676 677 821 823 824 825 826 828 829 831 832 833 834 835 836 841 842 844 861 862 864 866 869 871 872', // Nuevo León, Coahuila, Durango, Tamaulipas
+  'America/Merida': '969 981 982 985 986 988 991 996 997 999', // Yucatán, Campeche
+  'America/Cancun': '983 984 987 998', // Quintana Roo
+};
+
+const TIMEZONE_BY_AREA = new Map(
+  Object.entries(MEXICO_TIMEZONES).flatMap(([zone, areas]) => areas.split(' ').map((a) => [a, zone]))
+);
+
+// Código de área conocido (3 dígitos antes que 2) al inicio del número nacional
+function findArea(national, rule) {
+  const areas = rule?.areaCodes || [];
+  for (const len of [3, 2]) {
+    const a = national.slice(0, len);
+    if (areas.includes(a)) return a;
+  }
+  return '';
+}
+
+export default {
+  isos: ['MX'],
+
+  normalize(national, rule) {
+    national = stripLegacyPrefix(national)?.national || national;
+    if (national.length !== 10) {
+      return { area_code: '', local_number: national };
+    }
+    const area = findArea(national, rule) || national.slice(0, 2);
+    return { area_code: area, local_number: national.slice(area.length) };
+  },
+
+  // +521..., 044/045 + 10 dígitos, 01 + 10 dígitos → +52 + 10 dígitos
+  preValidate(national) {
+    return stripLegacyPrefix(national);
+  },
+
+  // +52 + área (2 o 3) + resto hasta 10 nacional
+  generate(rule) {
+    const area = randomItem(rule.areaCodes || ['55', '33', '81', '222', '231', '311', '312', '321', '322', '331', '444', '614', '664', '686']);
+    return `+52${area}${randomDigits(10 - area.length)}`;
+  },
+
+  // Prefijo = código de área completo (por defecto, 2 dígitos)
+  extractPrefix(national, rule) {
+    national = stripLegacyPrefix(national)?.national || national;
+    return findArea(national, rule) || national.slice(0, 2);
+  },
+
+  // Zona por el código de área (3 dígitos antes que 2)
+  timezone(national) {
+    national = stripLegacyPrefix(national)?.national || national;
+    if (national.length !== 10) return '';
+    return TIMEZONE_BY_AREA.get(national.slice(0, 3)) || TIMEZONE_BY_AREA.get(national.slice(0, 2)) || 'America/Mexico_City';
+  },
+};
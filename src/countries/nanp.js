@@ -0,0 +1,84 @@
+/**
+ * NANP (+1: USA, Canadá, República Dominicana, Puerto Rico...): +1 + NPA (3) + 7.
+ */
+
+import { getCountryByCode, getCountryRule } from '../config/countryRules.js';
+import { resolveDialCode } from '../config/dialCodes.js';
+import { countryTimezone } from '../config/timezones.js';
+import { randomInt, randomDigits, randomItem } from '../generator/random.js';
+
+/**
+ * Zona IANA por NPA en USA y Canadá. Un NPA que cruza husos va a la zona de la mayor parte
+ * de su población (ej. 850, el Panhandle de Florida, a Central). El resto de territorios +1
+ * tiene una sola zona; el 867 (los tres territorios del norte de Canadá) queda sin zona.
+ */
+const NANP_TIMEZONES = {
+  'America/New_York': `
+    201 202 203 207 212 215 216 220 223 227 229 234 239 240 252 267 272 276 283 301 302 304 305 315
+    321 324 326 329 330 332 336 339 347 351 352 363 380 386 401 404 407 410 412 413 419 423 434 440
+    443 445 470 472 475 478 484 508 513 516 518 540 551 561 567 570 571 582 585 603 607 609 610 614
+    617 631 640 645 646 656 667 678 680 681 686 689 703 704 706 716 717 718 724 727 728 732 740 743
+    754 757 762 770 771 772 774 781 786 802 803 804 813 814 821 826 828 835 838 839 843 845 848 854
+    856 857 860 862 863 864 865 878 904 908 910 912 914 917 919 929 934 937 941 943 948 954 959 973
+    978 980 984`,
+  'America/Detroit': '231 248 269 313 517 586 616 734 810 906 947 989',
+  'America/Indiana/Indianapolis': '260 317 463 574 765 812 930',
+  'America/Kentucky/Louisville': '502 606 859',
+  'America/Chicago': `
+    205 210 214 217 218 219 224 225 228 235 251 254 256 262 270 274 281 308 309 312 314 316 318 319
+    320 325 327 331 334 337 346 353 361 364 402 405 409 414 417 430 432 447 448 464 469 479 501 504
+    507 512 515 531 534 539 557 563 572 573 580 601 605 608 612 615 618 620 629 630 636 641 651 659
+    660 662 682 701 708 712 713 715 726 730 731 737 763 769 773 779 785 806 815 816 817 830 832 847
+    850 870 872 901 903 913 918 920 931 936 938 940 945 952 956 972 975 979 985`,
+  'America/Denver': '303 307 385 406 435 505 575 719 720 748 801 915 970 983',
+  'America/Boise': '208 986',
+  'America/Phoenix': '480 520 602 623 928',
+  'America/Los_Angeles': `
+    206 209 213 253 279 310 323 341 350 360 369 408 415 424 425 442 458 503 509 510 530 541 559 562
+    564 619 626 628 650 657 661 669 702 707 714 725 747 760 775 805 818 820 831 840 858 909 916 925
+    949 951 971`,
+  'America/Anchorage': '907',
+  'Pacific/Honolulu': '808',
+  'America/Vancouver': '236 250 257 604 672 778',
+  'America/Edmonton': '368 403 587 780 825',
+  'America/Regina': '306 474 639',
+  'America/Winnipeg': '204 431 584',
+  'America/Toronto': `
+    226 249 263 289 343 354 365 367 382 416 418 437 438 450 468 514 519 548 579 581 613 647 683 705
+    742 753 807 819 873 905 942`,
+  'America/Moncton': '428 506',
+  'America/Halifax': '782 902',
+  'America/St_Johns': '709 879',
+};
+
+const TIMEZONE_BY_NPA = new Map(
+  Object.entries(NANP_TIMEZONES).flatMap(([zone, npas]) => npas.trim().split(/\s+/).map((npa) => [npa, zone]))
+);
+
+export default {
+  isos: getCountryByCode('1').map((name) => getCountryRule(name).iso),
+
+  normalize(national) {
+    if (national.length !== 10) {
+      return { area_code: '', local_number: national };
+    }
+    return { area_code: national.slice(0, 3), local_number: national.slice(3) };
+  },
+
+  // Código de área del país + 7 (central 2-9)
+  generate(rule) {
+    const npa = randomItem(rule.areaCodes || []) || `${randomInt(2, 9)}${randomDigits(2, false)}`;
+    return `+1${npa}${randomInt(2, 9)}${randomDigits(6, false)}`;
+  },
+
+  // Prefijo = NPA: 1xxx
+  extractPrefix(national) {
+    return national.slice(0, 3);
+  },
+
+  // Zona por NPA; fuera de USA y Canadá, la del territorio al que pertenece el NPA
+  timezone(national) {
+    if (national.length !== 10) return '';
+    return TIMEZONE_BY_NPA.get(national.slice(0, 3)) || countryTimezone(resolveDialCode(`1${national}`)?.iso);
+  },
+};
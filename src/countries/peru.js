@@ -0,0 +1,44 @@
+/**
+ * Perú: +51. Móviles 9 + 8 dígitos; fijos 1 + 7 (Lima y Callao) o área de 2 dígitos + 6.
+ */
+
+import defaultModule from './default.js';
+
+/** Códigos de área de fijos → departamento. */
+export const PERU_AREA_CODES = {
+  1: 'Lima, Callao',
+  41: 'Amazonas', 42: 'San Martín', 43: 'Áncash', 44: 'La Libertad',
+  51: 'Puno', 52: 'Tacna', 53: 'Moquegua', 54: 'Arequipa', 56: 'Ica',
+  61: 'Ucayali', 62: 'Huánuco', 63: 'Pasco', 64: 'Junín', 65: 'Loreto', 66: 'Ayacucho', 67: 'Huancavelica',
+  72: 'Tumbes', 73: 'Piura', 74: 'Lambayeque', 76: 'Cajamarca',
+  82: 'Madre de Dios', 83: 'Apurímac', 84: 'Cusco',
+};
+
+// Área de un fijo de 8 dígitos: 1 (Lima) o la de 2 dígitos de la tabla
+function findArea(national) {
+  if (national[0] === '1') return '1';
+  return PERU_AREA_CODES[national.slice(0, 2)] ? national.slice(0, 2) : '';
+}
+
+export default {
+  isos: ['PE'],
+
+  normalize(national) {
+    if (national.length === 9 && national[0] === '9') {
+      return { area_code: '9', local_number: national.slice(1), line_type: 'MOBILE' };
+    }
+    const area = national.length === 8 ? findArea(national) : '';
+    if (!area) {
+      return { area_code: '', local_number: national };
+    }
+    return { area_code: area, local_number: national.slice(area.length), line_type: 'FIXED_LINE' };
+  },
+
+  generate: defaultModule.generate,
+
+  // Móviles: 9 + primer dígito (519x); fijos: código de área (511, 5154...)
+  extractPrefix(national) {
+    if (national[0] === '9') return national.slice(0, 2);
+    return findArea(national) || national.slice(0, 2);
+  },
+};
@@ -0,0 +1,69 @@
+/**
+ * Registro de módulos por país (ISO alpha-2).
+ *
+ * Cada módulo agrupa lo específico de un país:
+ * - normalize(national, rule) → { area_code, local_number, line_type? } (line_type: MOBILE o FIXED_LINE
+ *   según la estructura del número, si el módulo la conoce)
+ * - generate(rule) → número E.164 aleatorio (o null)
+ * - generateFixedLine(rule) (opcional) → fijo E.164 aleatorio, en países donde el patrón de fijos de
+ *   libphonenumber admite números del plan antiguo
+ * - extractPrefix(national, rule) → prefijo del número nacional usado para no repetir prefijos
+ * - preValidate(national, rule) (opcional) → reparación o rechazo antes de validar con libphonenumber
+ * - timezone(national, rule) (opcional) → zona IANA por código de área, en países con varios husos
+ * Los países sin módulo propio usan el módulo por defecto (default.js).
+ */
+
+import defaultModule from './default.js';
+import argentina from './argentina.js';
+import mexico from './mexico.js';
+import spain from './spain.js';
+import colombia from './colombia.js';
+import chile from './chile.js';
+import peru from './peru.js';
+import nanp from './nanp.js';
+import brazil from './brazil.js';
+
+/**
+ * @typedef {Object} CountryModule
+ * @property {string[]} isos - Países (ISO alpha-2) que cubre
+ * @property {(national: string, rule: Object) => { area_code: string, local_number: string, line_type?: string }} normalize
+ * @property {(rule: Object) => string|null} generate
+ * @property {(rule: Object) => string|null} [generateFixedLine]
+ * @property {(national: string, rule: Object) => string} extractPrefix
+ * @property {(national: string, rule: Object) => PreValidation|null} [preValidate]
+ * @property {(national: string, rule: Object) => string} [timezone] - '' si no se puede saber
+ */
+
+/**
+ * Resultado de preValidate: el número nacional corregido (con la reparación aplicada, si la hay)
+ * o un rechazo con código de ERROR_MESSAGES. null = nada que hacer.
+ * @typedef {{ national: string, repair?: string }|{ code: string, error: string }} PreValidation
+ */
+
+const modules = new Map();
+
+/**
+ * Registra un módulo para sus países (reemplaza al anterior si ya había uno).
+ * @param {CountryModule} module
+ */
+export function registerCountry(module) {
+  for (const method of ['normalize', 'generate', 'extractPrefix']) {
+    if (typeof module[method] !== 'function') {
+      throw new Error(`El módulo de país debe implementar ${method}()`);
+    }
+  }
+  for (const iso of module.isos || []) {
+    modules.set(String(iso).toUpperCase(), module);
+  }
+}
+
+/**
+ * Módulo de un país, o el módulo por defecto si no tiene uno propio.
+ * @param {string} iso - ej: 'AR'
+ * @returns {CountryModule}
+ */
+export function getCountryModule(iso) {
+  return modules.get(String(iso || '').toUpperCase()) || defaultModule;
+}
+
+[argentina, mexico, spain, colombia, chile, peru, nanp, brazil].forEach(registerCountry);
@@ -0,0 +1,20 @@
+/**
+ * España: +34 + 9 dígitos. No se separa área (móviles 6/7, fijos 8/9).
+ */
+
+import defaultModule from './default.js';
+
+export default {
+  isos: ['ES'],
+
+  normalize(national) {
+    return { area_code: '', local_number: national };
+  },
+
+  generate: defaultModule.generate,
+
+  // Prefijo = primeros 2 dígitos: 346x, 347x, 348x, 349x
+  extractPrefix(national) {
+    return national.slice(0, 2);
+  },
+};
@@ -5,6 +5,7 @@
 import { writeFileSync } from 'fs';
 import { dirname } from 'path';
 import { mkdirSync } from 'fs';
+import { formatPhone } from './phoneFormat.js';
 
 function escapeCsv(value) {
   const s = String(value ?? '');
@@ -49,12 +50,13 @@ export function exportResumenPorPais(filePath, countByCountry) {
  * Ejemplo: Colombia,"573232542078, 573141008359, 573113940785"
  * @param {string} filePath
  * @param {Array<{ pais: string, numero_generado: string }>} rows - lista de {pais, numero_generado} con formato E.164 (+57...)
+ * @param {string} [format] - Formato de los números (ver PHONE_FORMATS); por defecto 'digits'
  */
-export function exportNumerosGenerados(filePath, rows) {
+export function exportNumerosGenerados(filePath, rows, format = 'digits') {
   const byCountry = {};
   for (const r of rows) {
     const pais = r.pais;
-    let num = (r.numero_generado || r.numero || '').replace(/^\+/, '');
+    const num = formatPhone(r.numero_generado || r.numero || '', format);
     if (!num) continue;
     if (!byCountry[pais]) byCountry[pais] = [];
     byCountry[pais].push(num);
@@ -72,19 +74,89 @@ export function exportNumerosGenerados(filePath, rows) {
 
 /**
  * Exporta CSV limpio validado (opcional): todas las columnas normalizadas.
+ * Con includeExtra, añade al final las columnas extra del CSV original (r.extra) en el orden
+ * en que aparecen; si alguna coincide con una columna normalizada se exporta como "<nombre>_original".
+ * Las filas cuyo número se reparó al validar (r.repair) llevan repaired=true y la reparación en repair.
+ * Con un formato distinto de e164 se añade phone_formatted (full_e164 sigue en E.164).
  * @param {string} filePath
- * @param {Array<{ phone, name, email, region, pais, e164, country_code, area_code, local_number, full_e164 }>} rows
+ * @param {Array<{ phone, name, email, region, pais, e164, country_code, area_code, local_number, full_e164, line_type, line_type_hint, timezone, repair?, extra? }>} rows
+ * @param {Object} [options]
+ * @param {boolean} [options.includeExtra] - Si true, incluye las columnas extra
+ * @param {string} [options.format] - Formato de phone_formatted (ver PHONE_FORMATS)
  */
-export function exportCsvLimpio(filePath, rows) {
-  const headers = ['phone', 'name', 'email', 'region', 'pais', 'country_code', 'area_code', 'local_number', 'full_e164'];
+export function exportCsvLimpio(filePath, rows, options = {}) {
+  const withFormatted = options.format && options.format !== 'e164';
+  const baseHeaders = [
+    'phone', 'name', 'email', 'region', 'pais', 'country_code', 'area_code', 'local_number', 'full_e164',
+    ...(withFormatted ? ['phone_formatted'] : []),
+    'line_type', 'line_type_hint', 'timezone', 'repaired', 'repair',
+  ];
+  const extraHeaders = new Map(); // nombre en r.extra -> nombre de columna exportada
+  if (options.includeExtra) {
+    for (const r of rows) {
+      for (const key of Object.keys(r.extra || {})) {
+        if (extraHeaders.has(key)) continue;
+        extraHeaders.set(key, baseHeaders.includes(key) ? `${key}_original` : key);
+      }
+    }
+  }
+
+  const headers = [...baseHeaders, ...extraHeaders.values()];
   const filtered = rows.map((r) => {
     const o = {};
-    headers.forEach((h) => { o[h] = r[h] ?? ''; });
+    baseHeaders.forEach((h) => { o[h] = r[h] ?? ''; });
+    o.repaired = r.repair ? 'true' : 'false';
+    if (withFormatted) o.phone_formatted = formatPhone(r.full_e164, options.format);
+    extraHeaders.forEach((column, key) => { o[column] = r.extra?.[key] ?? ''; });
     return o;
   });
   writeCsv(filePath, filtered, headers);
 }
 
+/**
+ * Exporta las filas rechazadas tal como venían en el original, con el motivo del rechazo.
+ * Formato: fila,<columnas del original>,codigo,motivo
+ * @param {string} filePath
+ * @param {Array<{ row: number, cells: string[], code: string, error: string }>} rows
+ * @param {string[]} headers - Cabecera del original (o nombres columna_N si no tenía)
+ */
+export function exportRechazados(filePath, rows, headers) {
+  // reduce y no Math.max(...): con cientos de miles de filas el spread desborda la pila
+  const width = rows.reduce((max, r) => Math.max(max, r.cells.length), headers.length);
+  const columns = [...headers];
+  for (let i = columns.length; i < width; i++) columns.push(`columna_${i + 1}`);
+
+  const lines = [['fila', ...columns, 'codigo', 'motivo'].map(escapeCsv).join(',')];
+  for (const r of rows) {
+    const cells = Array.from({ length: width }, (_, i) => r.cells[i] ?? '');
+    lines.push([r.row, ...cells, r.code, r.error].map(escapeCsv).join(','));
+  }
+  const dir = dirname(filePath);
+  try { mkdirSync(dir, { recursive: true }); } catch (_) {}
+  writeFileSync(filePath, lines.join('\n'), 'utf8');
+}
+
+/**
+ * Exporta los números reparados al validar (plan del país o modo reparación) para revisarlos.
+ * Formato: fila,pais,original,reparado,codigo,reparacion,confianza,aceptada
+ * (aceptada=false: reparación poco fiable, el número se rechazó)
+ * @param {string} filePath
+ * @param {Array<{ row?: number, pais: string, phone: string, e164: string, repair: string, repair_code: string, repair_confidence: number, accepted?: boolean }>} rows
+ */
+export function exportReparados(filePath, rows) {
+  const csvRows = rows.map((r) => ({
+    fila: r.row ?? '',
+    pais: r.pais,
+    original: r.phone,
+    reparado: r.e164,
+    codigo: r.repair_code,
+    reparacion: r.repair,
+    confianza: r.repair_confidence,
+    aceptada: r.accepted === false ? 'false' : 'true',
+  }));
+  writeCsv(filePath, csvRows, ['fila', 'pais', 'original', 'reparado', 'codigo', 'reparacion', 'confianza', 'aceptada']);
+}
+
 /**
  * Exporta números generados en formato compatible con Batch Calling.
  * Formato: una fila por número con columna phone_number (obligatoria para batch calling).
@@ -92,16 +164,17 @@ export function exportCsvLimpio(filePath, rows) {
  * @param {string} filePath
  * @param {Array<{ pais: string, numero_generado: string }>} rows - lista de {pais, numero_generado} con formato E.164 (+57...)
  * @param {boolean} includeCountry - Si true, incluye columna 'pais' como variable personalizada
+ * @param {string} [format] - Formato de phone_number (ver PHONE_FORMATS); por defecto 'e164'
  */
-export function exportBatchCallFormat(filePath, rows, includeCountry = true) {
+export function exportBatchCallFormat(filePath, rows, includeCountry = true, format = 'e164') {
   const csvRows = [];
   
   for (const r of rows) {
     const numero = r.numero_generado || r.numero || '';
     if (!numero) continue;
     
-    // Asegurar que el número tenga el formato E.164 con +
-    const phoneNumber = numero.startsWith('+') ? numero : `+${numero}`;
+    // E.164 con + salvo que se pida otro formato
+    const phoneNumber = formatPhone(numero, format);
     
     const row = {
       phone_number: phoneNumber,
@@ -118,3 +191,15 @@ export function exportBatchCallFormat(filePath, rows, includeCountry = true) {
   const headers = includeCountry ? ['phone_number', 'pais'] : ['phone_number'];
   writeCsv(filePath, csvRows, headers);
 }
+
+/**
+ * Exporta la cobertura de prefijos a cobertura_prefijos.csv: por prefijo de los contactos,
+ * cuántos números generados lo comparten y si tiene al menos uno (cubierto=true).
+ * Formato: pais,prefijo,contactos,numeros_generados,cubierto
+ * @param {string} filePath
+ * @param {Array<{ pais: string, prefijo: string, contactos: number, numeros_generados: number }>} rows
+ */
+export function exportCoberturaPrefijos(filePath, rows) {
+  const csvRows = rows.map((r) => ({ ...r, cubierto: r.numeros_generados > 0 ? 'true' : 'false' }));
+  writeCsv(filePath, csvRows, ['pais', 'prefijo', 'contactos', 'numeros_generados', 'cubierto']);
+}
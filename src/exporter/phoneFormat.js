@@ -0,0 +1,71 @@
+/**
+ * Formatos de salida de los teléfonos en los CSV exportados.
+ * El formato internacional, nacional y RFC 3966 los aplica libphonenumber-js según el país.
+ */
+
+import { parsePhoneNumber, isValidPhoneNumber } from 'libphonenumber-js';
+
+/**
+ * Formatos admitidos:
+ * - e164: +525512345678
+ * - international: +52 55 1234 5678
+ * - national: 55 1234 5678 (como se marca dentro del país)
+ * - rfc3966: tel:+525512345678
+ * - digits: 525512345678 (E.164 sin "+")
+ */
+export const PHONE_FORMATS = ['e164', 'international', 'national', 'rfc3966', 'digits'];
+
+const LIBPHONENUMBER_FORMATS = { international: 'INTERNATIONAL', national: 'NATIONAL', rfc3966: 'RFC3966' };
+
+/**
+ * Valida el nombre de un formato de salida.
+ * @param {string} [format]
+ * @returns {string|undefined} El formato en minúsculas, o undefined si no se indica
+ */
+export function parsePhoneFormat(format) {
+  if (format === undefined || format === null || format === '') return undefined;
+  const value = String(format).trim().toLowerCase();
+  if (!PHONE_FORMATS.includes(value)) {
+    throw new Error(`Formato de teléfono no soportado: "${format}" (usa ${PHONE_FORMATS.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Formatea un número E.164. Si libphonenumber-js no puede interpretarlo, se devuelve en E.164
+ * (o solo dígitos con format=digits).
+ * @param {string} e164 - ej: '+525512345678' (con o sin "+")
+ * @param {string} [format] - Uno de PHONE_FORMATS (default: 'e164')
+ * @returns {string}
+ */
+export function formatPhone(e164, format = 'e164') {
+  const digits = String(e164 || '').replace(/\D/g, '');
+  if (!digits) return '';
+  if (format === 'digits') return digits;
+  const plus = `+${digits}`;
+  if (format === 'e164') return plus;
+  try {
+    return parsePhoneNumber(plus).format(LIBPHONENUMBER_FORMATS[format]);
+  } catch (_) {
+    return plus;
+  }
+}
+
+/**
+ * Recupera el E.164 de un teléfono exportado en cualquiera de PHONE_FORMATS
+ * (ej. al releer numeros_generados.csv). El formato nacional necesita el país.
+ * @param {string} value - ej: '55 1234 5678', 'tel:+525512345678', '525512345678'
+ * @param {string} [country] - ISO alpha-2 del país de la fila
+ * @returns {string|null}
+ */
+export function parseFormattedPhone(value, country) {
+  const text = String(value || '').trim().replace(/^tel:/i, '');
+  const digits = text.replace(/\D/g, '');
+  if (!digits) return null;
+  if (!text.startsWith('+') && country) {
+    try {
+      if (isValidPhoneNumber(text, country)) return parsePhoneNumber(text, country).format('E.164');
+    } catch (_) {}
+  }
+  return `+${digits}`;
+}
@@ -1,304 +1,407 @@
 /**
  * Generador de números telefónicos aleatorios válidos por país.
  * Formato E.164, sin repeticiones, estructura realista.
+ * La estructura de cada país (áreas, prefijos) la aporta su módulo en src/countries.
+ *
+ * Cada candidato se valida con los metadatos completos de libphonenumber-js: tiene que ser válido,
+ * del tipo de línea pedido (móvil por defecto) y no estar en un rango reservado o de ficción.
  */
 
-import { COUNTRY_RULES, COUNTRY_ALIASES } from '../config/countryRules.js';
+import { Metadata } from 'libphonenumber-js/core';
+import { parsePhoneNumber } from 'libphonenumber-js/max';
+import metadata from 'libphonenumber-js/metadata.max.json';
+import { getCountryRule, getCountryRuleByIso, getCountryName } from '../config/countryRules.js';
+import { resolveDialCode } from '../config/dialCodes.js';
+import { patternPrefixes } from '../config/patternPrefixes.js';
+import { isReservedNumber } from '../config/reservedRanges.js';
+import { getCountryModule } from '../countries/registry.js';
+import { withSeed, randomInt, randomDigits, randomItem } from './random.js';
 
 /**
- * Extrae el prefijo de un número E.164 para evitar duplicados de prefijo.
- * El prefijo incluye el código de país + código de área/prefijo completo del número nacional.
- * @param {string} e164 - Número en formato E.164 (ej: +34738337719)
- * @param {string} countryCode - Código de país (ej: '34')
- * @param {Object} rule - Regla del país (opcional, para códigos de área conocidos)
- * @returns {string} - Prefijo único (ej: '3473' para España, '5255' para México)
+ * Tipos de línea que se pueden pedir al generar y los tipos de libphonenumber que aceptan.
+ * En NANP, México o Chile libphonenumber no distingue móvil de fijo (FIXED_LINE_OR_MOBILE).
  */
-export function extractPrefix(e164, countryCode, rule = null) {
-  // Remover el + y obtener solo dígitos
-  const digits = e164.replace(/^\+/, '');
-  
-  // Verificar que empiece con el código de país
-  if (!digits.startsWith(countryCode)) {
-    // Si no empieza con el código, intentar extraerlo de otra forma
-    const withoutPlus = e164.replace(/^\+/, '');
-    return `${countryCode}${withoutPlus.slice(countryCode.length).slice(0, 2)}`;
+export const GENERATED_LINE_TYPES = {
+  MOBILE: ['MOBILE', 'FIXED_LINE_OR_MOBILE'],
+  FIXED_LINE: ['FIXED_LINE', 'FIXED_LINE_OR_MOBILE'],
+  ANY: ['MOBILE', 'FIXED_LINE', 'FIXED_LINE_OR_MOBILE'],
+};
+
+/**
+ * Valida el tipo de línea a generar.
+ * @param {string} [lineType] - MOBILE, FIXED_LINE o ANY (sin distinguir mayúsculas)
+ * @returns {string|undefined} En mayúsculas, o undefined si no se indica
+ */
+export function parseGeneratedLineType(lineType) {
+  if (lineType === undefined || lineType === null || lineType === '') return undefined;
+  const value = String(lineType).trim().toUpperCase();
+  if (!GENERATED_LINE_TYPES[value]) {
+    throw new Error(`Tipo de línea a generar no soportado: "${lineType}" (usa ${Object.keys(GENERATED_LINE_TYPES).join(', ')})`);
   }
-  
-  const withoutCountry = digits.slice(countryCode.length);
-  
-  // Determinar el prefijo según el país
-  if (countryCode === '34') {
-    // España: +34 + 9 dígitos (6,7,8,9 para móviles)
-    // Prefijo = código país (34) + primeros 2 dígitos = 346x, 347x, 348x, 349x
-    return `${countryCode}${withoutCountry.slice(0, 2)}`;
-    
-  } else if (countryCode === '57') {
-    // Colombia: +57 + 3XX + 7 dígitos
-    // Prefijo = código país (57) + prefijo 3XX = 57300, 57301, etc.
-    return `${countryCode}${withoutCountry.slice(0, 3)}`;
-    
-  } else if (countryCode === '52') {
-    // México: +52 + código área (2-3 dígitos) + resto
-    // Prefijo = código país (52) + código área completo
-    if (rule && rule.areaCodes && Array.isArray(rule.areaCodes)) {
-      // Usar códigos de área conocidos para detectar la longitud
-      for (const areaCode of rule.areaCodes) {
-        if (withoutCountry.startsWith(areaCode)) {
-          return `${countryCode}${areaCode}`;
-        }
-      }
-    }
-    // Fallback: detectar por patrones comunes
-    if (withoutCountry.length >= 3) {
-      const firstThree = withoutCountry.slice(0, 3);
-      // Si los primeros 3 dígitos coinciden con un código de área conocido de 3 dígitos
-      if (rule && rule.areaCodes && rule.areaCodes.includes(firstThree)) {
-        return `${countryCode}${firstThree}`;
-      }
-      // Si los primeros 2 dígitos coinciden con un código de área conocido de 2 dígitos
-      const firstTwo = withoutCountry.slice(0, 2);
-      if (rule && rule.areaCodes && rule.areaCodes.includes(firstTwo)) {
-        return `${countryCode}${firstTwo}`;
-      }
-    }
-    // Por defecto, intentar con 2 dígitos primero
-    if (withoutCountry.length >= 2) {
-      return `${countryCode}${withoutCountry.slice(0, 2)}`;
-    }
-    return `${countryCode}${withoutCountry.slice(0, 1)}`;
-    
-  } else if (countryCode === '54') {
-    // Argentina: +54 + 9 + código área (2-4 dígitos) + resto
-    // Prefijo = código país (54) + 9 + código área completo
-    if (withoutCountry.startsWith('9')) {
-      const after9 = withoutCountry.slice(1);
-      if (rule && rule.areaCodes && Array.isArray(rule.areaCodes)) {
-        // Usar códigos de área conocidos para detectar la longitud exacta
-        for (const areaCode of rule.areaCodes) {
-          if (after9.startsWith(areaCode)) {
-            return `${countryCode}9${areaCode}`;
-          }
-        }
-      }
-      // Fallback: detectar por longitud común
-      if (after9.length >= 2) {
-        const firstTwo = after9.slice(0, 2);
-        // Si empieza con 11, es código de 2 dígitos
-        if (firstTwo === '11') {
-          return `${countryCode}9${firstTwo}`;
-        }
-        // Si empieza con 2xx, 3xx, probablemente es de 3 dígitos
-        if (['22', '23', '24', '25', '26', '27', '28', '29', '34', '35', '38'].includes(firstTwo)) {
-          return `${countryCode}9${after9.slice(0, 3)}`;
-        }
-        // Por defecto, tomamos 2 dígitos del área
-        return `${countryCode}9${firstTwo}`;
-      }
-      return `${countryCode}9${after9.slice(0, 1)}`;
+  return value;
+}
+
+/**
+ * Indica si un número generado se puede usar: válido para el país de la regla, de un tipo
+ * aceptado por lineType, sin que el módulo del país lo identifique como del otro tipo (donde
+ * libphonenumber solo dice FIXED_LINE_OR_MOBILE) y fuera de los rangos reservados.
+ * @param {string} e164
+ * @param {Object} rule
+ * @param {string} [lineType] - Clave de GENERATED_LINE_TYPES (default: MOBILE)
+ * @returns {boolean}
+ */
+export function isDialable(e164, rule, lineType = 'MOBILE') {
+  try {
+    const phone = parsePhoneNumber(e164);
+    if (!phone.isValid() || phone.country !== rule.iso) return false;
+    if (!GENERATED_LINE_TYPES[lineType].includes(phone.getType())) return false;
+    if (lineType !== 'ANY') {
+      const hint = getCountryModule(rule.iso).normalize(phone.nationalNumber, rule).line_type;
+      if (hint && hint !== lineType) return false;
     }
-    return `${countryCode}${withoutCountry.slice(0, 2)}`;
-    
-  } else if (countryCode === '56') {
-    // Chile: +56 + 9 + 8 dígitos
-    // Prefijo = código país (56) + 9 + primer dígito = 569x
-    return `${countryCode}${withoutCountry.slice(0, 2)}`;
-    
-  } else if (countryCode === '51') {
-    // Perú: +51 + 9 + 8 dígitos
-    // Prefijo = código país (51) + 9 + primer dígito = 519x
-    return `${countryCode}${withoutCountry.slice(0, 2)}`;
-    
-  } else if (countryCode === '1') {
-    // USA/Canadá: +1 + NPA (3 dígitos) + 7 dígitos
-    // Prefijo = código país (1) + NPA = 1xxx
-    return `${countryCode}${withoutCountry.slice(0, 3)}`;
-    
-  } else {
-    // Por defecto: código país + primeros 2 dígitos
-    return `${countryCode}${withoutCountry.slice(0, 2)}`;
+    return !isReservedNumber(rule, phone.nationalNumber);
+  } catch (_) {
+    return false;
   }
 }
 
 /**
- * @param {number} min - inclusive
- * @param {number} max - inclusive
- * @returns {number}
+ * Cuotas de generación:
+ * - contactsPerNumber: un caller ID por cada N contactos del país (default: 1)
+ * - minPerCountry / maxPerCountry: mínimo y máximo de números por país (default: sin límite)
+ * - maxPerPrefix: máximo de números que comparten prefijo (default: 1 por país; sin límite en presencia local)
+ * @typedef {{ contactsPerNumber?: number, minPerCountry?: number, maxPerCountry?: number, maxPerPrefix?: number }} GenerationQuotas
+ */
+
+// Intentos seguidos sin progreso tras los que se dan por agotados los prefijos (o números) libres
+const STALE_TRIES = 5000;
+
+const QUOTA_MINIMUMS = { contactsPerNumber: 1, minPerCountry: 0, maxPerCountry: 0, maxPerPrefix: 1 };
+
+/**
+ * Valida las cuotas de generación (enteros, también como texto).
+ * @param {Object} options - Objeto con las claves de GenerationQuotas (el resto se ignora)
+ * @returns {GenerationQuotas} Solo las cuotas indicadas
  */
-function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+export function parseGenerationQuotas(options = {}) {
+  const quotas = {};
+  for (const [name, min] of Object.entries(QUOTA_MINIMUMS)) {
+    const value = options[name];
+    if (value === undefined || value === null || value === '') continue;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) {
+      throw new Error(`${name} debe ser un entero mayor o igual que ${min}: "${value}"`);
+    }
+    quotas[name] = n;
+  }
+  if (quotas.minPerCountry > quotas.maxPerCountry) {
+    throw new Error(`minPerCountry (${quotas.minPerCountry}) no puede ser mayor que maxPerCountry (${quotas.maxPerCountry})`);
+  }
+  return quotas;
 }
 
 /**
- * Genera un dígito aleatorio 0-9
+ * Números a generar para un país según sus contactos y las cuotas.
+ * @param {number} contacts
+ * @param {GenerationQuotas} quotas
+ * @returns {number}
  */
-function digit() {
-  return randomInt(0, 9);
+export function callerIdBudget(contacts, quotas = {}) {
+  if (contacts <= 0) return 0;
+  const byRatio = Math.ceil(contacts / (quotas.contactsPerNumber || 1));
+  return Math.min(quotas.maxPerCountry ?? Infinity, Math.max(quotas.minPerCountry ?? 0, byRatio));
 }
 
 /**
- * Genera N dígitos aleatorios (como string), el primero no cero si noWantLeadingZero.
+ * Extrae el prefijo de un número E.164 para evitar duplicados de prefijo.
+ * El prefijo incluye el código de país + código de área/prefijo completo del número nacional.
+ * @param {string} e164 - Número en formato E.164 (ej: +34738337719)
+ * @param {string} [countryCode] - Código de país (ej: '34'); si falta o no coincide, se resuelve del número
+ * @param {Object} rule - Regla del país (opcional, para códigos de área conocidos)
+ * @returns {string} - Prefijo único (ej: '3473' para España, '5255' para México)
  */
-function randomDigits(n, noLeadingZero = true) {
-  let s = '';
-  for (let i = 0; i < n; i++) {
-    const d = digit();
-    if (i === 0 && noLeadingZero && d === 0) s += randomInt(1, 9);
-    else s += d;
+export function extractPrefix(e164, countryCode, rule = null) {
+  // Remover el + y obtener solo dígitos
+  const digits = e164.replace(/^\+/, '');
+
+  // Verificar que empiece con el código de país; si no, usar el código ITU real del número
+  let resolved = null;
+  if (!countryCode || !digits.startsWith(countryCode)) {
+    resolved = resolveDialCode(digits);
+    countryCode = resolved?.dialCode || '';
   }
-  return s;
-}
 
+  // El módulo del país decide qué parte del número nacional forma el prefijo
+  // (España 2 dígitos, Colombia 3XX, México y Argentina el código de área...)
+  if (!rule || rule.code !== countryCode) {
+    rule = getCountryRuleByIso((resolved || resolveDialCode(digits))?.iso);
+  }
+  const national = digits.slice(countryCode.length);
+  return `${countryCode}${getCountryModule(rule?.iso).extractPrefix(national, rule)}`;
+}
 
 /**
  * Genera números aleatorios para un país.
+ * Puede devolver menos de count si se agotan los intentos (ver generateFromCounts).
  * @param {string} pais - Nombre del país (puede ser "México", "Mexico", etc.)
  * @param {number} count
  * @param {Set<string>} [exclude] - E.164 ya usados para no repetir
- * @param {Set<string>} [excludePrefixes] - Prefijos ya usados para no repetir
+ * @param {Map<string, number>} [prefixCounts] - Números ya generados por prefijo (se actualiza)
+ * @param {Object} [options]
+ * @param {string} [options.lineType] - Clave de GENERATED_LINE_TYPES (default: MOBILE)
+ * @param {number} [options.maxPerPrefix] - Máximo de números por prefijo (default: 1)
  * @returns {string[]} E.164
  */
-export function generateForCountry(pais, count, exclude = new Set(), excludePrefixes = new Set()) {
-  const key = COUNTRY_ALIASES[pais] || pais;
-  const rule = COUNTRY_RULES[key];
+export function generateForCountry(pais, count, exclude = new Set(), prefixCounts = new Map(), options = {}) {
+  const key = getCountryName(pais) || pais;
+  const rule = getCountryRule(key);
+  if (!rule) return [];
+  const lineType = options.lineType || 'MOBILE';
+  const maxPerPrefix = options.maxPerPrefix ?? 1;
   const out = [];
   const used = new Set(exclude);
-  const usedPrefixes = new Set(excludePrefixes);
   const maxTries = count * 100; // Aumentar intentos porque ahora hay más restricciones
-  let tries = 0;
-
-  while (out.length < count && tries < maxTries) {
-    const num = generateOne(key, rule, pais);
-    if (num) {
-      const countryCode = rule?.code || '';
-      const prefix = extractPrefix(num, countryCode, rule);
-      
-      // Verificar que el número completo no esté usado Y que el prefijo no esté usado
-      if (!used.has(num) && !usedPrefixes.has(prefix)) {
-        used.add(num);
-        usedPrefixes.add(prefix);
-        out.push(num);
-      }
+  const seenPrefixes = new Set();
+  const openPrefixes = new Set(); // Prefijos vistos que aún admiten números
+  let stale = 0; // Intentos desde el último número o prefijo nuevo
+
+  for (let tries = 0; out.length < count && tries < maxTries; tries++) {
+    // Todos los prefijos vistos están llenos y hace STALE_TRIES que no aparece ninguno nuevo
+    if (openPrefixes.size === 0 && stale >= STALE_TRIES) break;
+    stale++;
+    const num = generateOne(rule, lineType);
+    if (!num || !isDialable(num, rule, lineType)) continue;
+    const prefix = extractPrefix(num, rule.code, rule);
+    const inPrefix = prefixCounts.get(prefix) || 0;
+    if (!seenPrefixes.has(prefix)) {
+      seenPrefixes.add(prefix);
+      if (inPrefix < maxPerPrefix) openPrefixes.add(prefix);
+      stale = 0;
+    }
+
+    // Verificar que el número completo no esté usado Y que el prefijo no esté lleno
+    if (!used.has(num) && inPrefix < maxPerPrefix) {
+      used.add(num);
+      prefixCounts.set(prefix, inPrefix + 1);
+      if (inPrefix + 1 >= maxPerPrefix) openPrefixes.delete(prefix);
+      out.push(num);
+      stale = 0;
     }
-    tries++;
   }
 
   return out;
 }
 
-function generateOne(key, rule, pais) {
-  if (!rule) {
-    return generateOther(key, pais);
-  }
+// El número lo genera el módulo del país, que conoce la estructura de sus móviles; los fijos
+// salen de su generateFixedLine o, si no tiene, del patrón de fijos de libphonenumber. Con ANY cada número sale de uno u otro al 50 %
+// (con el azar de la semilla). Sin regla no hay código de país.
+function generateOne(rule, lineType) {
+  if (!rule) return null;
+  const fixed = lineType === 'FIXED_LINE' || (lineType === 'ANY' && randomInt(0, 1) === 1);
+  const countryModule = getCountryModule(rule.iso);
+  if (fixed) return countryModule.generateFixedLine?.(rule) ?? generateFromPattern(rule, 'FIXED_LINE');
+  return countryModule.generate(rule);
+}
+
+const plans = new Metadata(metadata);
+const typePatterns = new Map(); // `${iso}:${type}` -> { prefixes, lengths }
 
-  switch (rule.code) {
-    case '54': return generateArgentina(rule);
-    case '52': return generateMexico(rule);
-    case '34': return generateSpain(rule);
-    case '57': return generateColombia(rule);
-    case '56': return generateChile(rule);
-    case '51': return generatePeru(rule);
-    case '1': return generateNANP(rule, key);
-    default: return generateOther(key, rule);
+// Prefijo de 3 dígitos del patrón del tipo + dígitos al azar hasta una longitud posible del tipo;
+// isDialable descarta los que el resto del patrón no admite
+function generateFromPattern(rule, type) {
+  const key = `${rule.iso}:${type}`;
+  if (!typePatterns.has(key)) {
+    plans.selectNumberingPlan(rule.iso);
+    const t = plans.numberingPlan.type(type);
+    typePatterns.set(key, {
+      prefixes: patternPrefixes(t?.pattern(), 3),
+      lengths: t?.possibleLengths() || rule.nationalLengths,
+    });
   }
+  const { prefixes, lengths } = typePatterns.get(key);
+  const prefix = randomItem(prefixes);
+  if (!prefix) return null;
+  const length = randomItem(lengths);
+  return `+${rule.code}${prefix}${randomDigits(Math.max(length - prefix.length, 0), false)}`;
 }
 
-// Argentina: +54 9 + código área (2-4) + 6-8 dígitos. Total nacional 10.
-function generateArgentina(rule) {
-  const areas = rule.areaCodes || ['11', '221', '341', '351', '261', '381', '223', '299'];
-  const area = areas[randomInt(0, areas.length - 1)];
-  const localLen = 10 - area.length;
-  const local = randomDigits(localLen);
-  return `+549${area}${local}`;
-}
+/**
+ * Genera números para un mapa país -> contactos.
+ * Cuántos por país lo deciden las cuotas (ver callerIdBudget); sin cuotas, uno por contacto.
+ * Los países en los que no se llega a la cantidad pedida (país sin reglas, o intentos agotados
+ * porque no quedan números o prefijos libres del tipo pedido) se informan en shortfall.
+ * @param {Object.<string, number>} countByCountry - { "Argentina": 14, "Mexico": 56, ... }
+ * @param {Set<string>} [exclude] - E.164 a evitar
+ * @param {Object} [options] - Además de seed y lineType, las cuotas de GenerationQuotas
+ * @param {number|string} [options.seed] - Semilla del azar: con la misma semilla y los mismos conteos se generan los mismos números
+ * @param {string} [options.lineType] - Tipo de línea a generar: MOBILE, FIXED_LINE o ANY (default: MOBILE)
+ * @returns {{ generated: Array<{ pais: string, numero_generado: string }>, shortfall: Object.<string, { requested: number, generated: number }> }}
+ */
+export function generateFromCounts(countByCountry, exclude = new Set(), options = {}) {
+  const { seed, ...rest } = options;
+  if (seed !== undefined) {
+    return withSeed(seed, () => generateFromCounts(countByCountry, exclude, rest));
+  }
 
-// México: +52 + área (2 o 3) + resto hasta 10 nacional
-function generateMexico(rule) {
-  const areas = rule.areaCodes || ['55', '33', '81', '222', '231', '311', '312', '321', '322', '331', '444', '614', '664', '686'];
-  const area = areas[randomInt(0, areas.length - 1)];
-  const localLen = 10 - area.length;
-  const local = randomDigits(localLen);
-  return `+52${area}${local}`;
-}
+  const lineType = parseGeneratedLineType(options.lineType) || 'MOBILE';
+  const quotas = parseGenerationQuotas(options);
+  const all = [];
+  const shortfall = {};
+  const globalUsed = new Set(exclude);
+  const globalPrefixCounts = new Map(); // generateForCountry la actualiza con los prefijos usados
 
-// España: +34 + 9 dígitos (6,7,8,9 para móviles)
-function generateSpain(rule) {
-  const first = ['6', '7', '8', '9'][randomInt(0, 3)];
-  const rest = randomDigits(8);
-  return `+34${first}${rest}`;
-}
+  for (const [pais, contacts] of Object.entries(countByCountry)) {
+    const count = callerIdBudget(contacts, quotas);
+    if (count <= 0) continue;
 
-// Colombia: +57 + 3XX + 7 dígitos. 3XX: 300-350, 310-319, 320-323, 350, 351, 316, 317, 318, 315, 314, 312, 313, 310, 311, 300, 301, 302, 303, 304, 305, 306, 307, 308, 309, 320, 321, 322, 323, 350, 351, 316, 317, 318, 315, 314, 312, 313, 310, 311
-function generateColombia(rule) {
-  const prefixes = ['300', '301', '310', '311', '312', '313', '314', '315', '316', '317', '318', '319', '320', '321', '322', '323', '350', '351'];
-  const pre = prefixes[randomInt(0, prefixes.length - 1)];
-  const local = randomDigits(7);
-  return `+57${pre}${local}`;
-}
+    const nums = generateForCountry(pais, count, globalUsed, globalPrefixCounts, {
+      lineType,
+      maxPerPrefix: quotas.maxPerPrefix,
+    });
+    if (nums.length < count) {
+      shortfall[normalizeCountryName(pais)] = { requested: count, generated: nums.length };
+    }
+    for (const n of nums) {
+      globalUsed.add(n);
+      all.push({ pais: normalizeCountryName(pais), numero_generado: n });
+    }
+  }
 
-// Chile: +56 + 9 + 8 dígitos
-function generateChile(rule) {
-  const local = randomDigits(8);
-  return `+569${local}`;
+  return { generated: all, shortfall };
 }
 
-// Perú: +51 + 9 + 8 dígitos
-function generatePeru(rule) {
-  const local = randomDigits(8);
-  return `+519${local}`;
-}
+/**
+ * Presencia local: genera caller IDs en los mismos prefijos (código de área o prefijo móvil,
+ * ver extractPrefix) que los contactos, para que cada contacto se llame desde un número de su zona.
+ * Cada país recibe los números que fijan las cuotas (ver callerIdBudget; sin cuotas, uno por
+ * contacto), repartidos entre sus prefijos según los contactos de cada uno: primero uno por prefijo
+ * (los de más contactos antes, si no alcanza para todos) y el resto en proporción, sin pasar de
+ * maxPerPrefix. Lo que no se consigue generar se informa en shortfall.
+ * @param {Array<{ e164: string }>} records - Contactos validados
+ * @param {Set<string>} [exclude] - E.164 a evitar
+ * @param {Object} [options] - seed, lineType y cuotas (igual que generateFromCounts)
+ * @returns {{ generated: Array<{ pais: string, numero_generado: string }>, shortfall: Object.<string, { requested: number, generated: number }> }}
+ */
+export function generateLocalPresence(records, exclude = new Set(), options = {}) {
+  const { seed, ...rest } = options;
+  if (seed !== undefined) {
+    return withSeed(seed, () => generateLocalPresence(records, exclude, rest));
+  }
 
-// USA/Canada: +1 + 3 (NPA: 2-9, 0-9, 0-9; no 11x en segunda posición) + 7
-function generateNANP(rule, key) {
-  const npa1 = randomInt(2, 9);
-  let npa2 = randomInt(0, 9);
-  if (npa1 === 1 && npa2 === 1) npa2 = randomInt(0, 8);
-  const npa3 = randomInt(0, 9);
-  const npa = `${npa1}${npa2}${npa3}`;
-  const local = randomDigits(7);
-  return `+1${npa}${local}`;
-}
+  const lineType = parseGeneratedLineType(options.lineType) || 'MOBILE';
+  const quotas = parseGenerationQuotas(options);
+  const all = [];
+  const shortfall = {};
+  const used = new Set(exclude);
 
-// Otros: +[código] + 8-12 dígitos. Necesitamos el código; si no hay rule, no podemos. Devolver null o algo genérico.
-function generateOther(key, rule) {
-  const code = rule?.code;
-  if (!code) return null;
-  const len = randomInt(8, 12);
-  const national = randomDigits(len);
-  return `+${code}${national}`;
+  for (const [pais, prefixes] of groupByPrefix(records)) {
+    const entries = [...prefixes.values()].sort((a, b) => b.contacts - a.contacts || a.prefix.localeCompare(b.prefix));
+    const budget = callerIdBudget(entries.reduce((sum, e) => sum + e.contacts, 0), quotas);
+    const allocation = allocateByWeight(entries.map((e) => e.contacts), budget, quotas.maxPerPrefix);
+    let generatedCount = 0;
+
+    entries.forEach((entry, i) => {
+      for (const n of generateForPrefix(entry, allocation[i], used, lineType)) {
+        used.add(n);
+        all.push({ pais, numero_generado: n });
+        generatedCount++;
+      }
+    });
+    if (generatedCount < budget) shortfall[pais] = { requested: budget, generated: generatedCount };
+  }
+
+  return { generated: all, shortfall };
 }
 
 /**
- * Genera números para un mapa país -> cantidad.
- * @param {Object.<string, number>} countByCountry - { "Argentina": 14, "Mexico": 56, ... }
- * @param {Set<string>} [exclude] - E.164 a evitar
- * @returns {Array<{ pais: string, numero_generado: string }>}
+ * Cobertura de prefijos: para cada prefijo de los contactos, cuántos números generados lo comparten
+ * (con los que batch calling puede llamar desde un número local).
+ * @param {Array<{ e164: string }>} records - Contactos validados
+ * @param {Array<{ numero_generado: string }>} generated
+ * @returns {Array<{ pais: string, prefijo: string, contactos: number, numeros_generados: number }>}
  */
-export function generateFromCounts(countByCountry, exclude = new Set()) {
-  const all = [];
-  const globalUsed = new Set(exclude);
-  const globalUsedPrefixes = new Set();
+export function buildPrefixCoverage(records, generated) {
+  const generatedByPrefix = new Map();
+  for (const g of generated) {
+    const prefix = extractPrefix(g.numero_generado);
+    generatedByPrefix.set(prefix, (generatedByPrefix.get(prefix) || 0) + 1);
+  }
+  const rows = [];
+  for (const [pais, prefixes] of groupByPrefix(records)) {
+    for (const { prefix, contacts } of prefixes.values()) {
+      rows.push({ pais, prefijo: prefix, contactos: contacts, numeros_generados: generatedByPrefix.get(prefix) || 0 });
+    }
+  }
+  return rows.sort((a, b) => a.pais.localeCompare(b.pais) || b.contactos - a.contactos || a.prefijo.localeCompare(b.prefijo));
+}
 
-  for (const [pais, count] of Object.entries(countByCountry)) {
-    if (count <= 0) continue;
-    const key = COUNTRY_ALIASES[pais] || pais;
-    const rule = COUNTRY_RULES[key];
-    const countryCode = rule?.code || '';
-    
-    const nums = generateForCountry(pais, count, globalUsed, globalUsedPrefixes);
-    for (const n of nums) {
-      globalUsed.add(n);
-      // Extraer y guardar el prefijo usado
-      const prefix = extractPrefix(n, countryCode, rule);
-      globalUsedPrefixes.add(prefix);
-      all.push({ pais: normalizeCountryName(pais), numero_generado: n });
+// País del número (en +1, por código de área) -> prefijo -> { prefix, contacts, rule, dialCode, lengths }
+function groupByPrefix(records) {
+  const byCountry = new Map();
+  for (const r of records) {
+    const resolved = resolveDialCode(r.e164);
+    const rule = getCountryRuleByIso(resolved?.iso);
+    if (!rule) continue;
+    const prefix = extractPrefix(r.e164, resolved.dialCode, rule);
+    const pais = resolved.country;
+    if (!byCountry.has(pais)) byCountry.set(pais, new Map());
+    const prefixes = byCountry.get(pais);
+    if (!prefixes.has(prefix)) {
+      prefixes.set(prefix, { prefix, contacts: 0, rule, dialCode: resolved.dialCode, lengths: new Map() });
     }
+    const entry = prefixes.get(prefix);
+    entry.contacts++;
+    entry.lengths.set(resolved.national.length, (entry.lengths.get(resolved.national.length) || 0) + 1);
   }
+  return byCountry;
+}
 
-  return all;
+// Reparte budget entre pesos ordenados de mayor a menor: uno a cada uno mientras alcance y el resto
+// en proporción al peso, sin pasar de cap. Lo que no cabe en un prefijo lleno se reparte en otra
+// ronda entre los demás; el último resto (menos de uno por prefijo) va a los de más peso.
+function allocateByWeight(weights, budget, cap = Infinity) {
+  const allocation = weights.map((_, i) => (i < budget ? 1 : 0));
+  let remaining = budget - Math.min(budget, weights.length);
+  while (remaining > 0) {
+    const open = weights.map((_, i) => i).filter((i) => allocation[i] < cap);
+    if (!open.length) break;
+    const total = open.reduce((sum, i) => sum + weights[i], 0);
+    let given = 0;
+    for (const i of open) {
+      const add = Math.min(Math.floor((remaining * weights[i]) / total), cap - allocation[i]);
+      allocation[i] += add;
+      given += add;
+    }
+    if (given === 0) {
+      for (const i of open.slice(0, remaining)) allocation[i]++;
+      given = Math.min(remaining, open.length);
+    }
+    remaining -= given;
+  }
+  return allocation;
+}
+
+// Números con el prefijo nacional del grupo y la longitud más habitual de sus contactos
+function generateForPrefix(entry, count, used, lineType) {
+  const { prefix, rule, dialCode } = entry;
+  const national = prefix.slice(dialCode.length);
+  const length = [...entry.lengths.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  const out = [];
+  const taken = new Set();
+  const maxTries = count * 100;
+  // Sin números del tipo pedido en el prefijo, o con todos usados, se deja de intentar a los STALE_TRIES
+  for (let tries = 0, stale = 0; out.length < count && tries < maxTries && stale < STALE_TRIES; tries++, stale++) {
+    const num = `+${dialCode}${national}${randomDigits(Math.max(length - national.length, 0), false)}`;
+    if (used.has(num) || taken.has(num)) continue;
+    if (isDialable(num, rule, lineType) && extractPrefix(num, dialCode, rule) === prefix) {
+      taken.add(num);
+      out.push(num);
+      stale = 0;
+    }
+  }
+  return out;
 }
 
 function normalizeCountryName(p) {
-  const n = COUNTRY_ALIASES[p] || p;
-  const names = { Mexico: 'Mexico', Argentina: 'Argentina', España: 'España', Colombia: 'Colombia', Chile: 'Chile', Peru: 'Peru', USA: 'USA', Canada: 'Canada' };
-  return names[n] || n;
+  return getCountryName(p) || p;
 }
@@ -0,0 +1,104 @@
+/**
+ * Utilidades de azar para la generación de números.
+ *
+ * Por defecto usan Math.random; dentro de withSeed usan un PRNG con semilla (mulberry32),
+ * así la misma semilla y la misma entrada generan los mismos números.
+ */
+
+let source = Math.random;
+
+/**
+ * Valida una semilla: un entero entre 0 y 2^32 - 1 (también como texto, ej. "42") o cualquier
+ * otro texto no vacío, que se convierte a número con un hash.
+ * @param {number|string} [seed]
+ * @returns {number|string|undefined} undefined si no se indica
+ */
+export function parseSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') return undefined;
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text) && Number(text) <= 0xffffffff) return Number(text);
+  if (typeof seed === 'number' || !text) {
+    throw new Error(`Semilla no válida: "${seed}" (usa un entero entre 0 y 4294967295 o un texto)`);
+  }
+  return text;
+}
+
+/**
+ * Semilla nueva al azar, para registrar la de una ejecución sin semilla y poder repetirla.
+ * @returns {number}
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+// Texto → entero de 32 bits (FNV-1a)
+function hashSeed(seed) {
+  if (typeof seed === 'number') return seed >>> 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    h ^= seed.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function mulberry32(a) {
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Ejecuta fn con el azar de randomInt/randomDigits/randomItem sacado de la semilla.
+ * @template T
+ * @param {number|string} seed - Ver parseSeed
+ * @param {() => T} fn - Síncrona
+ * @returns {T}
+ */
+export function withSeed(seed, fn) {
+  const previous = source;
+  source = mulberry32(hashSeed(parseSeed(seed)));
+  try {
+    return fn();
+  } finally {
+    source = previous;
+  }
+}
+
+/**
+ * @param {number} min - inclusive
+ * @param {number} max - inclusive
+ * @returns {number}
+ */
+export function randomInt(min, max) {
+  return Math.floor(source() * (max - min + 1)) + min;
+}
+
+/**
+ * Genera N dígitos aleatorios (como string), el primero no cero si noLeadingZero.
+ * @param {number} n
+ * @param {boolean} [noLeadingZero]
+ * @returns {string}
+ */
+export function randomDigits(n, noLeadingZero = true) {
+  let s = '';
+  for (let i = 0; i < n; i++) {
+    const d = randomInt(0, 9);
+    if (i === 0 && noLeadingZero && d === 0) s += randomInt(1, 9);
+    else s += d;
+  }
+  return s;
+}
+
+/**
+ * Elige un elemento al azar.
+ * @template T
+ * @param {T[]} list
+ * @returns {T|undefined}
+ */
+export function randomItem(list) {
+  return list.length ? list[randomInt(0, list.length - 1)] : undefined;
+}
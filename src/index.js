@@ -2,101 +2,217 @@
  * Orquestador: parse → validate → normalize → resumen → generate → export.
  */
 
-import { parseCsvFile, parseCsvString, rowsToRecords } from './parser/csvParser.js';
-import { validateRecords } from './validator/validator.js';
+import {
+  parseCsvFile,
+  parseCsvString,
+  parseCsvBuffer,
+  detectCsvFormat,
+  sniffCsvFile,
+  rowsToRecords,
+  createRecordBuilder,
+  readCsvFileLines,
+} from './parser/csvParser.js';
+import {
+  isSpreadsheetFile,
+  isSpreadsheetBuffer,
+  parseSpreadsheetBuffer,
+  parseSpreadsheetFile,
+} from './parser/spreadsheetParser.js';
+import { resolveColumnMapping, SAMPLE_ROWS } from './parser/columnMapper.js';
+import { validateRecords, resolveDefaultRegion } from './validator/validator.js';
 import { normalizeRecords } from './normalizer/normalizer.js';
-import { generateFromCounts } from './generator/numberGenerator.js';
+import {
+  generateFromCounts,
+  generateLocalPresence,
+  buildPrefixCoverage,
+  parseGeneratedLineType,
+  parseGenerationQuotas,
+} from './generator/numberGenerator.js';
 import {
   exportResumenPorPais,
   exportNumerosGenerados,
   exportCsvLimpio,
   exportBatchCallFormat,
+  exportRechazados,
+  exportReparados,
+  exportCoberturaPrefijos,
 } from './exporter/csvExporter.js';
-import { COUNTRY_ALIASES } from './config/countryRules.js';
+import { parsePhoneFormat } from './exporter/phoneFormat.js';
+import { parseSeed, createSeed } from './generator/random.js';
+import { getRegisteredNumbers, recordGenerated } from './registry/callerIdRegistry.js';
+import { getCountryName } from './config/countryRules.js';
+import { resolveDialCode } from './config/dialCodes.js';
+import { randomUUID } from 'crypto';
 
 /**
  * Agrupa registros por país y devuelve conteo. Usa nombre normalizado para la salida (Mexico, Argentina, etc.)
- * @param {Array<{ pais: string }>} records
+ * Si la fila no declara un país reconocible se usa el del número (en +1, por código de área).
+ * @param {Array<{ pais: string, e164: string }>} records
  * @returns {Object.<string, number>}
  */
 function countByCountry(records) {
   const map = {};
   for (const r of records) {
-    const key = COUNTRY_ALIASES[r.pais] || r.pais;
+    const key = getCountryName(r.pais) || resolveDialCode(r.e164)?.country || r.pais;
     map[key] = (map[key] || 0) + 1;
   }
   return map;
 }
 
 /**
- * Procesa desde contenido CSV (string). Útil para API.
- * @param {string} csvContent
- * @param {Object} [options]
- * @param {string} [options.outputDir] - Carpeta para escribir resumen_por_pais.csv, numeros_generados.csv, (opcional) datos_limpios.csv
- * @param {boolean} [options.exportCleanCsv] - Si true, escribe datos_limpios.csv
- * @returns {{ resumen: Object.<string, number>, valid: number, errors: any[], outputFiles: string[] }}
+ * Cuenta registros por tipo de línea (MOBILE, FIXED_LINE...).
+ * @param {Array<{ line_type?: string }>} records
+ * @returns {Object.<string, number>}
  */
-export function processFromString(csvContent, options = {}) {
-  const outputDir = options.outputDir || '.';
-  const exportCleanCsv = !!options.exportCleanCsv;
+function countByLineType(records) {
+  const map = {};
+  for (const r of records) {
+    const key = r.line_type || 'UNKNOWN';
+    map[key] = (map[key] || 0) + 1;
+  }
+  return map;
+}
 
-  const rows = parseCsvString(csvContent);
-  const records = rowsToRecords(rows);
-  const { valid: validList, errors } = validateRecords(records);
-  const normalized = normalizeRecords(validList);
-  const resumen = countByCountry(normalized);
+/**
+ * Lee filas desde contenido en memoria: CSV (string o Buffer) u hoja de cálculo (Buffer XLSX/XLS/ODS).
+ * @param {string|Buffer} content
+ * @param {Object} options - { delimiter, encoding, sheet }
+ * @returns {{ rows: string[][], format: Object }}
+ */
+function readRowsFromContent(content, options) {
+  if (typeof content !== 'string' && isSpreadsheetBuffer(content)) {
+    const { rows, sheet, sheets } = parseSpreadsheetBuffer(content, options);
+    return { rows, format: { type: 'spreadsheet', sheet, sheets } };
+  }
 
-  const outputFiles = [];
+  const format = detectCsvFormat(content, options);
+  const rows = typeof content === 'string'
+    ? parseCsvString(content, format)
+    : parseCsvBuffer(content, format);
+  return { rows, format: { type: 'csv', ...format } };
+}
 
-  const resumenPath = `${outputDir}/resumen_por_pais.csv`;
-  exportResumenPorPais(resumenPath, resumen);
-  outputFiles.push(resumenPath);
+/**
+ * Registros y mapeo de columnas a partir de filas ya leídas (contenido en memoria u hoja de cálculo).
+ * @param {string[][]} rows
+ * @param {Object} options - { columnMap }
+ * @returns {{ columns: Object, records: Object[], rowsAt: (lines: number[]) => Map<number, string[]> }}
+ */
+function recordsFromRows(rows, options) {
+  const columns = resolveColumnMapping(rows, options.columnMap);
+  return {
+    columns,
+    records: rowsToRecords(rows, { columns }),
+    rowsAt: () => new Map(rows.map((row, i) => [row.line ?? i + 1, row])),
+  };
+}
 
-  const generated = generateFromCounts(resumen, new Set(normalized.map((r) => r.e164)));
-  const numerosPath = `${outputDir}/numeros_generados.csv`;
-  exportNumerosGenerados(numerosPath, generated);
-  outputFiles.push(numerosPath);
+/**
+ * Lee un CSV de disco por streaming: las primeras filas se guardan para resolver el mapeo de
+ * columnas y, desde ahí, cada fila se convierte en registros en cuanto el parser la entrega,
+ * sin guardar las filas. Las rechazadas se releen del archivo al final (rowsAt).
+ * @param {string} inputPath
+ * @param {Object} options - { delimiter, encoding, columnMap }
+ * @returns {Promise<{ format: Object, columns: Object, records: Object[], rowsAt: (lines: number[]) => Map<number, string[]> }>}
+ */
+async function readCsvRecordsFromFile(inputPath, options) {
+  const format = { type: 'csv', ...(await sniffCsvFile(inputPath, options)) };
+  const sample = [];
+  const records = [];
+  let columns = null;
+  let toRecords = null;
+  let index = 0;
 
-  // Exportar también en formato compatible con Batch Calling
-  const batchCallPath = `${outputDir}/numeros_batch_calling.csv`;
-  exportBatchCallFormat(batchCallPath, generated, true);
-  outputFiles.push(batchCallPath);
+  const addRow = (row, i) => {
+    if (i === 0 && columns.hasHeader) return;
+    for (const record of toRecords(row, i)) records.push(record);
+  };
+  const resolveColumns = () => {
+    columns = resolveColumnMapping(sample, options.columnMap);
+    toRecords = createRecordBuilder(columns);
+    sample.forEach(addRow);
+  };
 
-  if (exportCleanCsv) {
-    const cleanPath = `${outputDir}/datos_limpios.csv`;
-    exportCsvLimpio(cleanPath, normalized);
-    outputFiles.push(cleanPath);
-  }
+  await parseCsvFile(inputPath, {
+    delimiter: format.delimiter,
+    encoding: options.encoding,
+    onRow: (row) => {
+      if (columns) return addRow(row, index++);
+      sample.push(row);
+      index++;
+      if (sample.length > SAMPLE_ROWS) resolveColumns();
+    },
+  });
+  if (!columns) resolveColumns();
 
-  return {
-    resumen,
-    valid: normalized.length,
-    errors,
-    outputFiles,
-  };
+  const rowsAt = (lines) => readCsvFileLines(inputPath, lines, {
+    delimiter: format.delimiter,
+    encoding: format.encoding,
+  });
+  return { format, columns, records, rowsAt };
 }
 
 /**
- * Procesa desde ruta de archivo.
- * @param {string} inputPath - Ruta al CSV de entrada
- * @param {Object} [options] - Igual que processFromString
- * @returns {Promise<{ resumen, valid, errors, outputFiles }>}
+ * Lee un archivo de disco: CSV por streaming o, según la extensión, XLSX/XLS/ODS (entero en memoria).
+ * @param {string} inputPath
+ * @param {Object} options - { delimiter, encoding, sheet, columnMap }
+ * @returns {Promise<{ format: Object, columns: Object, records: Object[], rowsAt: (lines: number[]) => Map<number, string[]> }>}
  */
-export async function processFromFile(inputPath, options = {}) {
-  const outputDir = options.outputDir || '.';
-  const exportCleanCsv = !!options.exportCleanCsv;
+async function readRecordsFromFile(inputPath, options) {
+  if (isSpreadsheetFile(inputPath)) {
+    let parsed;
+    try {
+      parsed = await parseSpreadsheetFile(inputPath, options);
+    } catch (e) {
+      throw new Error(`Error leyendo hoja de cálculo: ${e.message}`);
+    }
+    const { rows, sheet, sheets } = parsed;
+    return { format: { type: 'spreadsheet', sheet, sheets }, ...recordsFromRows(rows, options) };
+  }
 
-  let rows;
   try {
-    rows = await parseCsvFile(inputPath);
+    return await readCsvRecordsFromFile(inputPath, options);
   } catch (e) {
     throw new Error(`Error leyendo CSV: ${e.message}`);
   }
+}
+
+/**
+ * Ejecuta el pipeline sobre los registros leídos y escribe los archivos de salida.
+ * @param {{ columns: Object, records: Object[], rowsAt: (lines: number[]) => Map<number, string[]> }} input
+ *   rowsAt devuelve las celdas originales de las filas indicadas (para rechazados.csv)
+ * @param {Object} options - Ver processFromString
+ * @returns {{ resumen: Object.<string, number>, resumenTipos: Object.<string, number>, valid: number, errors: any[], warnings: any[], outputFiles: string[], columns: Object, seed: number|string, shortfall: Object.<string, { requested: number, generated: number }>, coverage: { prefixes: number, covered: number }, runId: string }}
+ */
+function processRecords({ columns, records, rowsAt }, options = {}) {
+  const outputDir = options.outputDir || '.';
+  const exportCleanCsv = !!options.exportCleanCsv;
+  const phoneFormat = parsePhoneFormat(options.phoneFormat);
+  const generatedLineType = parseGeneratedLineType(options.generatedLineType);
+  const quotas = parseGenerationQuotas(options);
+  // Sin semilla se elige una al azar y se devuelve, para poder repetir la ejecución
+  const seed = parseSeed(options.seed) ?? createSeed();
+  // El registro se consulta siempre salvo registry: false; con él, repetir una semilla ya no da
+  // los mismos números (los de la primera ejecución quedan registrados y se excluyen)
+  const useRegistry = options.registry !== false;
+  const runId = options.runId || randomUUID();
+
+  const defaultCountry = options.defaultCountry ? resolveDefaultRegion(options.defaultCountry) : undefined;
+  if (options.defaultCountry && !defaultCountry) {
+    throw new Error(`País por defecto no reconocido: "${options.defaultCountry}"`);
+  }
 
-  const records = rowsToRecords(rows);
-  const { valid: validList, errors } = validateRecords(records);
+  const { valid: validList, errors, warnings } = validateRecords(records, {
+    defaultCountry,
+    countryMismatch: options.countryMismatch,
+    dedup: options.dedup,
+    lineTypes: options.lineTypes,
+    repair: !!options.repair,
+    phonePolicy: options.phonePolicy,
+  });
   const normalized = normalizeRecords(validList);
   const resumen = countByCountry(normalized);
+  const resumenTipos = countByLineType(normalized);
 
   const outputFiles = [];
 
@@ -104,26 +220,141 @@ export async function processFromFile(inputPath, options = {}) {
   exportResumenPorPais(resumenPath, resumen);
   outputFiles.push(resumenPath);
 
-  const generated = generateFromCounts(resumen, new Set(normalized.map((r) => r.e164)));
+  // Presencia local: caller IDs en los prefijos de los contactos; si no, por conteo de país.
+  // No se repiten contactos ni números del registro (generados, importados o retirados antes)
+  const exclude = new Set(normalized.map((r) => r.e164));
+  if (useRegistry) {
+    for (const n of getRegisteredNumbers(options.registryPath)) exclude.add(n);
+  }
+  const generateOptions = { seed, lineType: generatedLineType, ...quotas };
+  const { generated, shortfall } = options.localPresence
+    ? generateLocalPresence(normalized, exclude, generateOptions)
+    : generateFromCounts(resumen, exclude, generateOptions);
+  if (useRegistry) recordGenerated(generated, runId, options.registryPath);
   const numerosPath = `${outputDir}/numeros_generados.csv`;
-  exportNumerosGenerados(numerosPath, generated);
+  exportNumerosGenerados(numerosPath, generated, phoneFormat);
   outputFiles.push(numerosPath);
 
   // Exportar también en formato compatible con Batch Calling
   const batchCallPath = `${outputDir}/numeros_batch_calling.csv`;
-  exportBatchCallFormat(batchCallPath, generated, true);
+  exportBatchCallFormat(batchCallPath, generated, true, phoneFormat);
   outputFiles.push(batchCallPath);
 
+  // Filas rechazadas completas, tal como venían, con código y motivo
+  const rechazadosPath = `${outputDir}/rechazados.csv`;
+  const headers = columns.hasHeader ? columns.headers : [];
+  const rejectedErrors = errors.filter((e) => e.row);
+  const rejectedRows = rowsAt(rejectedErrors.map((e) => e.row));
+  const rejected = rejectedErrors.map((e) => ({ row: e.row, cells: rejectedRows.get(e.row) || [], code: e.code, error: e.error }));
+  exportRechazados(rechazadosPath, rejected, headers);
+  outputFiles.push(rechazadosPath);
+
+  // Antes y después de cada número reparado, para revisarlo; los de reparación poco fiable
+  // (rechazados) solo aparecen aquí y en rechazados.csv
+  const reparadosPath = `${outputDir}/reparados.csv`;
+  const repaired = [
+    ...validList.filter((r) => r.repair).map((r) => ({ ...r, accepted: true })),
+    ...errors.filter((e) => e.repair).map((e) => ({ ...e, accepted: false })),
+  ].sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  exportReparados(reparadosPath, repaired);
+  outputFiles.push(reparadosPath);
+
+  // Qué prefijos de los contactos tienen un caller ID local
+  const coverage = buildPrefixCoverage(normalized, generated);
+  const coberturaPath = `${outputDir}/cobertura_prefijos.csv`;
+  exportCoberturaPrefijos(coberturaPath, coverage);
+  outputFiles.push(coberturaPath);
+
   if (exportCleanCsv) {
     const cleanPath = `${outputDir}/datos_limpios.csv`;
-    exportCsvLimpio(cleanPath, normalized);
+    exportCsvLimpio(cleanPath, normalized, { includeExtra: options.includeExtra !== false, format: phoneFormat });
     outputFiles.push(cleanPath);
   }
 
   return {
     resumen,
+    resumenTipos,
     valid: normalized.length,
     errors,
+    warnings,
     outputFiles,
+    columns: columns.mapping,
+    seed,
+    shortfall,
+    coverage: {
+      prefixes: coverage.length,
+      covered: coverage.filter((c) => c.numeros_generados > 0).length,
+    },
+    runId,
+  };
+}
+
+/**
+ * Procesa desde contenido CSV (string o Buffer). Útil para API.
+ * Con un Buffer se detecta la codificación (UTF-8, UTF-16 con BOM, Latin-1); el separador
+ * se detecta siempre salvo que se indique. Un Buffer XLSX/XLS/ODS se lee como hoja de cálculo.
+ * @param {string|Buffer} csvContent
+ * @param {Object} [options]
+ * @param {string} [options.outputDir] - Carpeta para escribir resumen_por_pais.csv, numeros_generados.csv, rechazados.csv, reparados.csv, cobertura_prefijos.csv, (opcional) datos_limpios.csv
+ * @param {boolean} [options.exportCleanCsv] - Si true, escribe datos_limpios.csv
+ * @param {string} [options.delimiter] - Override del separador (',', ';', 'tab', '|' o 'auto')
+ * @param {string} [options.encoding] - Override de la codificación ('utf8', 'utf16le', 'latin1' o 'auto')
+ * @param {string|number} [options.sheet] - Hoja a leer en XLSX/ODS: nombre o posición (1 = primera)
+ * @param {Object.<string, string|number|Array<string|number>>|string} [options.columnMap] - Columnas por nombre o índice: { phone: 'Celular' } o "phone=Celular,pais=Country"; varias de teléfono con "phone=Telefono|Celular"
+ * @param {boolean} [options.includeExtra] - Incluir en datos_limpios.csv las columnas no mapeadas del original (default: true)
+ * @param {string} [options.defaultCountry] - País/ISO para números locales cuya fila no declara un país reconocible (default: 'ES')
+ * @param {'warn'|'error'|'ignore'} [options.countryMismatch] - Prefijo que no coincide con la columna pais: aviso, rechazo o nada (default: 'warn')
+ * @param {'none'|'first'|'last'|'merge'} [options.dedup] - Duplicados por E.164: conservar todos, el primero, el último o fusionarlos (default: 'none')
+ * @param {string|string[]} [options.lineTypes] - Tipos de línea permitidos, ej. ['MOBILE', 'FIXED_LINE_OR_MOBILE'] o "MOBILE,FIXED_LINE_OR_MOBILE" (default: todos)
+ * @param {'all'|'first'|'mobile'} [options.phonePolicy] - Filas con varios teléfonos: todos, el primero válido o preferir móvil (default: 'all')
+ * @param {'e164'|'international'|'national'|'rfc3966'|'digits'} [options.phoneFormat] - Formato de los teléfonos en numeros_generados.csv (por defecto digits), numeros_batch_calling.csv (por defecto e164) y phone_formatted de datos_limpios.csv
+ * @param {boolean} [options.repair] - Modo reparación: corregir números inválidos (+00, 0 troncal, código de país desde pais, notación científica) (default: false)
+ * @param {number|string} [options.seed] - Semilla de los números generados: entero de 32 bits o texto (default: una al azar, devuelta en seed)
+ * @param {'MOBILE'|'FIXED_LINE'|'ANY'} [options.generatedLineType] - Tipo de línea de los números generados (default: 'MOBILE')
+ * @param {boolean} [options.localPresence] - Generar los caller IDs en los prefijos de los contactos, en proporción a sus contactos (default: false, al azar por país)
+ * @param {number} [options.contactsPerNumber] - Un caller ID por cada N contactos del país (default: 1)
+ * @param {number} [options.minPerCountry] - Mínimo de números generados por país (default: sin mínimo)
+ * @param {number} [options.maxPerCountry] - Máximo de números generados por país (default: sin máximo)
+ * @param {number} [options.maxPerPrefix] - Máximo de números generados con el mismo prefijo (default: 1; sin límite con localPresence)
+ * @param {boolean} [options.registry] - Consultar y actualizar el registro de caller IDs: no regenerar números ya registrados y registrar los nuevos. Con él, repetir una semilla no da los mismos números: false para repetir una ejecución exacta (default: true)
+ * @param {string} [options.registryPath] - Archivo del registro (default: CALLER_ID_REGISTRY o data/caller_ids.json)
+ * @param {string} [options.runId] - ID de la ejecución guardado con cada número generado (default: un UUID, devuelto en runId)
+ * @returns {{ resumen: Object.<string, number>, resumenTipos: Object.<string, number>, valid: number, errors: any[], warnings: any[], outputFiles: string[], format: Object, columns: Object, seed: number|string, shortfall: Object.<string, { requested: number, generated: number }>, coverage: { prefixes: number, covered: number }, runId: string }}
+ */
+export function processFromString(csvContent, options = {}) {
+  const { rows, format } = readRowsFromContent(csvContent, options);
+  return { ...processRecords(recordsFromRows(rows, options), options), format };
+}
+
+/**
+ * Procesa desde ruta de archivo (CSV o, según la extensión, XLSX/XLS/ODS). El CSV se lee por
+ * streaming: en memoria quedan los registros, no las filas del archivo.
+ * @param {string} inputPath - Ruta al archivo de entrada
+ * @param {Object} [options] - Igual que processFromString
+ * @returns {Promise<{ resumen, resumenTipos, valid, errors, warnings, outputFiles, format, columns, seed, shortfall, coverage, runId }>}
+ */
+export async function processFromFile(inputPath, options = {}) {
+  const { format, ...input } = await readRecordsFromFile(inputPath, options);
+  return { ...processRecords(input, options), format };
+}
+
+/**
+ * Detecta el mapeo de columnas sin procesar, para confirmarlo antes de llamar a processFromString.
+ * @param {string|Buffer} csvContent - Igual que processFromString
+ * @param {Object} [options] - { delimiter, encoding, sheet, columnMap (parcial, opcional) }
+ * @returns {{ format: Object, hasHeader: boolean, headers: string[], mapping: Object, totalRows: number, preview: Object[] }}
+ */
+export function detectColumnsFromString(csvContent, options = {}) {
+  const { rows, format } = readRowsFromContent(csvContent, options);
+  const columns = resolveColumnMapping(rows, options.columnMap);
+  const { hasHeader, headers, mapping } = columns;
+  const preview = rowsToRecords(rows.slice(0, (hasHeader ? 1 : 0) + 5), { columns });
+  return {
+    format,
+    hasHeader,
+    headers,
+    mapping,
+    totalRows: rows.length - (hasHeader ? 1 : 0),
+    preview,
   };
 }
@@ -0,0 +1,251 @@
+/**
+ * Mapeo de columnas de entrada a campos de registro (phone, name, email, region, pais).
+ *
+ * - Mapeo explícito: por nombre de cabecera o por índice (0 = primera columna). El teléfono
+ *   admite varias columnas ("phone=Telefono|Celular|2"): la primera es la principal.
+ * - Mapeo inferido: puntúa cada columna por su cabecera y por el contenido de las
+ *   primeras filas, y devuelve una confianza (0–1) por campo para poder confirmarlo
+ *   antes de procesar.
+ */
+
+import { COUNTRY_ALIASES } from '../config/countryRules.js';
+
+/** Campos de registro que se pueden mapear. */
+export const RECORD_FIELDS = ['phone', 'name', 'email', 'region', 'pais'];
+
+// Posiciones históricas cuando el CSV no trae cabecera: 0=phone, 1=name, 2=email, 5=region, 6=pais
+const LEGACY_POSITIONS = { phone: 0, name: 1, email: 2, region: 5, pais: 6 };
+
+// Puntuación por cabecera (normalizada: minúsculas, sin acentos, separadores como "_")
+const HEADER_SCORES = {
+  phone: {
+    phone_number: 1, phone: 0.95, telefono: 0.95, celular: 0.9, movil: 0.9, mobile: 0.9,
+    mobile_phone: 0.9, cellphone: 0.9, cell: 0.85, tel: 0.85, msisdn: 0.85, whatsapp: 0.8,
+    number: 0.6, numero: 0.6,
+  },
+  name: {
+    name: 1, nombre: 1, full_name: 1, nombre_completo: 1, nombres: 0.9, contact_name: 0.9,
+    first_name: 0.8, contacto: 0.7, last_name: 0.4, apellido: 0.4, apellidos: 0.4,
+  },
+  email: { email: 1, e_mail: 1, correo_electronico: 1, correo: 0.95, mail: 0.9 },
+  region: {
+    region: 1, state: 0.9, provincia: 0.9, estado: 0.8, departamento: 0.8, area: 0.6,
+    ciudad: 0.5, city: 0.5,
+  },
+  pais: { pais: 1, country: 1, country_code: 0.8, countrycode: 0.8, nacionalidad: 0.5 },
+};
+
+// Fragmentos que dan una puntuación baja si la cabecera los contiene
+const HEADER_FRAGMENTS = {
+  phone: /phone|telefono|celular|movil|mobile/,
+  name: /name|nombre/,
+  email: /mail|correo/,
+  region: /region|provincia/,
+  pais: /pais|country/,
+};
+
+// Pruebas de contenido por campo (fracción de celdas que la cumplen)
+const CONTENT_TESTS = {
+  phone: (v) => /^\+?[\d\s().\-/]+$/.test(v) && v.replace(/\D/g, '').length >= 7,
+  email: (v) => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(v),
+  pais: (v) => Object.prototype.hasOwnProperty.call(COUNTRY_ALIASES, v),
+};
+
+// Filas de datos examinadas para la puntuación por contenido (y las que se guardan antes de
+// resolver el mapeo al leer un archivo por streaming)
+export const SAMPLE_ROWS = 50;
+
+function normalizeHeader(h) {
+  return String(h || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\s\-.]+/g, '_');
+}
+
+function headerScore(field, header) {
+  const h = normalizeHeader(header);
+  if (!h) return 0;
+  const exact = HEADER_SCORES[field][h];
+  if (exact) return exact;
+  return HEADER_FRAGMENTS[field].test(h) ? 0.5 : 0;
+}
+
+function contentScore(field, rows, col) {
+  const test = CONTENT_TESTS[field];
+  if (!test) return 0;
+  let total = 0;
+  let hits = 0;
+  for (const row of rows) {
+    const v = String(row[col] || '').trim();
+    if (!v) continue;
+    total++;
+    if (test(v)) hits++;
+  }
+  return total === 0 ? 0 : hits / total;
+}
+
+/**
+ * Indica si la primera fila parece una cabecera: algún nombre de columna conocido
+ * y ninguna celda con aspecto de teléfono.
+ * @param {string[]} firstRow
+ * @returns {boolean}
+ */
+export function looksLikeHeader(firstRow) {
+  const cells = (firstRow || []).map((c) => String(c || '').trim());
+  const known = cells.some((c) => RECORD_FIELDS.some((f) => headerScore(f, c) > 0));
+  const hasPhone = cells.some((c) => c && CONTENT_TESTS.phone(c));
+  return known && !hasPhone;
+}
+
+// Índice numérico si la columna es "0", "1"...; si no, nombre de cabecera
+function parseColumnRef(column) {
+  const trimmed = String(column).trim();
+  return /^\d+$/.test(trimmed) ? parseInt(trimmed, 10) : trimmed;
+}
+
+/**
+ * Convierte una especificación de texto "phone=Celular,pais=Country,name=2" en un mapa.
+ * Los valores numéricos se interpretan como índice de columna (0 = primera), también en un
+ * objeto o JSON ({ "phone": "0" } es la primera columna, igual que "phone=0" en la CLI).
+ * Varias columnas separadas por "|" ("phone=Telefono|Celular") dan un array.
+ * @param {string|Object} spec
+ * @returns {Object.<string, string|number|Array<string|number>>}
+ */
+export function parseColumnMapSpec(spec) {
+  if (!spec) return {};
+  const trimmed = typeof spec === 'object' ? '' : String(spec).trim();
+  if (typeof spec === 'object' || trimmed.startsWith('{')) {
+    const map = typeof spec === 'object' ? spec : JSON.parse(trimmed);
+    return Object.fromEntries(Object.entries(map).map(([field, column]) => [
+      field,
+      Array.isArray(column) ? column.map(parseColumnRef) : parseColumnRef(column),
+    ]));
+  }
+
+  const map = {};
+  for (const part of trimmed.split(',')) {
+    if (!part.trim()) continue;
+    const eq = part.indexOf('=');
+    if (eq === -1) {
+      throw new Error(`Mapeo de columna inválido: "${part.trim()}" (usa campo=columna)`);
+    }
+    const field = part.slice(0, eq).trim();
+    const columns = part.slice(eq + 1).split('|').map(parseColumnRef);
+    map[field] = columns.length > 1 ? columns : columns[0];
+  }
+  return map;
+}
+
+/**
+ * Infiere el mapeo de columnas con una confianza por campo.
+ * @param {string[][]} rows - Filas tal como salen del parser (incluida la cabecera, si la hay)
+ * @returns {{ hasHeader: boolean, headers: string[], mapping: Object.<string, { index: number, header: string|null, confidence: number, source: string }|null>, extraPhones: Array }}
+ */
+export function detectColumnMapping(rows) {
+  return resolveColumnMapping(rows, {});
+}
+
+/**
+ * Resuelve el mapeo definitivo: aplica primero el mapeo explícito y completa el resto
+ * de campos por inferencia (sin reutilizar columnas ya asignadas).
+ * @param {string[][]} rows
+ * @param {Object.<string, string|number|Array<string|number>>|string} [columnMap] - { phone: 'Celular', pais: 6 },
+ *   "phone=Celular,pais=6" o, con varias columnas de teléfono, { phone: ['Telefono', 'Celular'] } / "phone=Telefono|Celular"
+ * @returns {{ hasHeader: boolean, headers: string[], mapping: Object, extraPhones: Array<{ index: number, header: string|null, confidence: number, source: string }> }}
+ *   extraPhones: columnas de teléfono adicionales a mapping.phone (solo por mapeo explícito)
+ */
+export function resolveColumnMapping(rows, columnMap = {}) {
+  const explicit = parseColumnMapSpec(columnMap);
+  const firstRow = (rows && rows[0]) || [];
+  const usesHeaderNames = Object.values(explicit).some((v) => typeof v === 'string');
+  const hasHeader = usesHeaderNames || looksLikeHeader(firstRow);
+  const headers = hasHeader ? firstRow.map((h) => String(h || '').trim()) : [];
+  const width = Math.max(0, ...(rows || []).slice(0, SAMPLE_ROWS + 1).map((r) => r.length));
+  const sample = (rows || []).slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + SAMPLE_ROWS);
+
+  const mapping = Object.fromEntries(RECORD_FIELDS.map((f) => [f, null]));
+  const extraPhones = [];
+  const usedColumns = new Set();
+  const describe = (index, confidence, source) => ({
+    index,
+    header: hasHeader ? headers[index] ?? null : null,
+    confidence: Math.round(confidence * 100) / 100,
+    source,
+  });
+
+  const resolveIndex = (field, column) => {
+    let index;
+    if (typeof column === 'number') {
+      index = column;
+    } else {
+      const wanted = String(column).trim().toLowerCase();
+      index = headers.findIndex((h) => h.toLowerCase() === wanted);
+      if (index === -1) {
+        throw new Error(`Columna "${column}" no encontrada en la cabecera (${headers.join(', ')})`);
+      }
+    }
+    if (index < 0 || (width > 0 && index >= width)) {
+      throw new Error(`Índice de columna fuera de rango para "${field}": ${index}`);
+    }
+    return index;
+  };
+
+  for (const [field, column] of Object.entries(explicit)) {
+    if (!RECORD_FIELDS.includes(field)) {
+      throw new Error(`Campo desconocido en el mapeo: "${field}" (campos: ${RECORD_FIELDS.join(', ')})`);
+    }
+    const columns = Array.isArray(column) ? column : [column];
+    if (columns.length > 1 && field !== 'phone') {
+      throw new Error(`Solo "phone" admite varias columnas (indicadas para "${field}")`);
+    }
+    columns.forEach((c, i) => {
+      const index = resolveIndex(field, c);
+      if (i === 0) mapping[field] = describe(index, 1, 'manual');
+      else extraPhones.push(describe(index, 1, 'manual'));
+      usedColumns.add(index);
+    });
+  }
+
+  // Candidatos (campo, columna, confianza) ordenados de mayor a menor confianza
+  const candidates = [];
+  for (const field of RECORD_FIELDS) {
+    if (mapping[field]) continue;
+    for (let col = 0; col < width; col++) {
+      const byHeader = hasHeader ? headerScore(field, headers[col]) : 0;
+      const byContent = contentScore(field, sample, col);
+      if (byHeader > 0) {
+        const confidence = CONTENT_TESTS[field] ? 0.75 * byHeader + 0.25 * byContent : byHeader;
+        candidates.push({ field, col, confidence, source: 'header' });
+      } else if (byContent >= 0.8) {
+        candidates.push({ field, col, confidence: 0.6 * byContent, source: 'content' });
+      }
+    }
+  }
+  candidates.sort((a, b) => b.confidence - a.confidence || a.col - b.col);
+
+  for (const c of candidates) {
+    if (mapping[c.field] || usedColumns.has(c.col)) continue;
+    mapping[c.field] = describe(c.col, c.confidence, c.source);
+    usedColumns.add(c.col);
+  }
+
+  // Sin cabecera se mantienen las posiciones históricas para lo que no se haya detectado.
+  // El teléfono siempre necesita una columna: si nada encaja, la primera libre.
+  for (const field of RECORD_FIELDS) {
+    if (mapping[field]) continue;
+    const legacy = LEGACY_POSITIONS[field];
+    if (!hasHeader && legacy < width && !usedColumns.has(legacy)) {
+      mapping[field] = describe(legacy, 0.2, 'position');
+      usedColumns.add(legacy);
+    } else if (field === 'phone') {
+      let free = 0;
+      while (usedColumns.has(free)) free++;
+      mapping[field] = describe(free, 0.1, 'position');
+      usedColumns.add(free);
+    }
+  }
+
+  return { hasHeader, headers, mapping, extraPhones };
+}
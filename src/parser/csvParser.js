@@ -1,203 +1,555 @@
 /**
  * Parser de archivos CSV para extraer registros de teléfonos.
  * Espera: phone number, name, email, , , region, pais
+ *
+ * El análisis se hace con una máquina de estados (RFC 4180) que recibe el
+ * contenido por trozos: soporta campos entre comillas con saltos de línea,
+ * comillas escapadas ("") aunque queden partidas entre dos trozos, CRLF y BOM.
+ *
+ * Si no se indica, el separador (, ; tab |) y la codificación (UTF-8, UTF-16 con BOM,
+ * Latin-1/Windows-1252) se detectan a partir de las primeras líneas del contenido.
+ */
+
+import { createReadStream, openSync, readSync, closeSync } from 'fs';
+import { open } from 'fs/promises';
+import { resolveColumnMapping } from './columnMapper.js';
+
+// Separadores candidatos para la detección automática
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+// Nombres aceptados en overrides manuales (CLI, API)
+const DELIMITER_NAMES = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  '\\t': '\t',
+  pipe: '|',
+};
+
+// Codificaciones soportadas -> etiqueta de TextDecoder
+const ENCODING_LABELS = {
+  utf8: 'utf-8',
+  'utf-8': 'utf-8',
+  utf16le: 'utf-16le',
+  'utf-16le': 'utf-16le',
+  'utf-16': 'utf-16le',
+  utf16be: 'utf-16be',
+  'utf-16be': 'utf-16be',
+  latin1: 'windows-1252',
+  'iso-8859-1': 'windows-1252',
+  'windows-1252': 'windows-1252',
+  cp1252: 'windows-1252',
+};
+
+// Bytes leídos del inicio de un archivo para detectar formato
+const SNIFF_BYTES = 64 * 1024;
+
+// Estados de la máquina de parseo
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+/**
+ * Crea un parser CSV incremental. Cada fila completa se entrega a onRow en cuanto se cierra,
+ * de modo que un archivo grande nunca necesita estar entero en memoria.
+ * Las filas vacías se ignoran y las celdas se devuelven sin espacios en los extremos.
+ * Cada fila lleva en `line` la línea del archivo en la que empieza (1 = primera), que no coincide
+ * con su posición cuando hay líneas en blanco o saltos de línea dentro de comillas.
+ * @param {(row: string[] & { line: number }) => void} onRow - Consumidor de filas
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Separador de columnas (default: ',')
+ * @returns {{ write: (chunk: string) => void, end: () => void }}
+ */
+export function createCsvParser(onRow, options = {}) {
+  const delimiter = options.delimiter || ',';
+  let state = FIELD_START;
+  let field = '';
+  let row = [];
+  let skipLf = false;
+  let started = false;
+  let line = 1;
+  let rowLine = 1;
+  let prevCr = false;
+
+  function endField() {
+    row.push(field.trim());
+    field = '';
+    state = FIELD_START;
+  }
+
+  function endRow() {
+    endField();
+    if (!(row.length === 1 && row[0] === '')) {
+      row.line = rowLine;
+      onRow(row);
+    }
+    row = [];
+    rowLine = line;
+  }
+
+  function write(chunk) {
+    let text = String(chunk ?? '');
+    if (!started) {
+      if (!text) return;
+      started = true;
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      // Líneas del archivo (también dentro de comillas); \r\n cuenta como una
+      if (ch === '\r' || (ch === '\n' && !prevCr)) line++;
+      prevCr = ch === '\r';
+
+      // \r\n puede quedar partido entre dos trozos
+      if (skipLf) {
+        skipLf = false;
+        if (ch === '\n') continue;
+      }
+
+      if (state === QUOTED) {
+        if (ch === '"') state = QUOTE_IN_QUOTED;
+        else field += ch;
+        continue;
+      }
+
+      if (state === QUOTE_IN_QUOTED) {
+        if (ch === '"') {
+          field += '"';
+          state = QUOTED;
+          continue;
+        }
+        // Comilla de cierre: lo que siga hasta el separador se añade tal cual
+        state = UNQUOTED;
+      }
+
+      if (ch === delimiter) {
+        endField();
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r') skipLf = true;
+        endRow();
+      } else if (ch === '"' && state === FIELD_START) {
+        // Se descartan espacios previos a la comilla de apertura
+        field = '';
+        state = QUOTED;
+      } else {
+        field += ch;
+        if (state === FIELD_START && ch !== ' ' && ch !== '\t') state = UNQUOTED;
+      }
+    }
+  }
+
+  function end() {
+    // Un campo entre comillas sin cerrar al final del archivo se conserva tal cual
+    if (field || row.length > 0) endRow();
+    state = FIELD_START;
+  }
+
+  return { write, end };
+}
+
+/**
+ * Normaliza un separador indicado manualmente ('tab', 'semicolon', ';'...).
+ * @param {string} [value]
+ * @returns {string|null} - Separador, o null si hay que detectarlo ('auto' o vacío)
+ */
+export function normalizeDelimiter(value) {
+  if (value === undefined || value === null) return null;
+  const raw = String(value);
+  if (!raw || raw.toLowerCase() === 'auto') return null;
+  const named = DELIMITER_NAMES[raw.toLowerCase()];
+  if (named) return named;
+  if (DELIMITER_CANDIDATES.includes(raw)) return raw;
+  throw new Error(`Separador no soportado: "${raw}" (usa , ; tab |)`);
+}
+
+/**
+ * Normaliza una codificación indicada manualmente ('utf8', 'latin1'...).
+ * @param {string} [value]
+ * @returns {string|null} - Etiqueta de TextDecoder, o null si hay que detectarla ('auto' o vacío)
+ */
+export function normalizeEncoding(value) {
+  if (value === undefined || value === null) return null;
+  const raw = String(value).trim().toLowerCase();
+  if (!raw || raw === 'auto') return null;
+  const label = ENCODING_LABELS[raw];
+  if (!label) {
+    throw new Error(`Codificación no soportada: "${value}" (usa utf8, utf16le, utf16be, latin1)`);
+  }
+  return label;
+}
+
+/**
+ * Detecta la codificación de un buffer: BOM UTF-8/UTF-16, UTF-8 válido o, si no, Latin-1 (Windows-1252).
+ * Se comprueba el buffer entero: con el inicio de un archivo solo se ven sus primeros 64 KB, así
+ * que sniffCsvFile comprueba además el resto antes de fijar UTF-8.
+ * @param {Buffer|Uint8Array} buffer
+ * @returns {'utf-8'|'utf-16le'|'utf-16be'|'windows-1252'}
  */
+export function detectEncoding(buffer) {
+  if (!buffer || buffer.length === 0) return 'utf-8';
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+  try {
+    // stream: true evita falsos negativos si la muestra corta un carácter multibyte
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return 'utf-8';
+  } catch (_) {
+    return 'windows-1252';
+  }
+}
 
-import { createReadStream } from 'fs';
-import { createInterface } from 'readline';
+/**
+ * Decodifica un buffer a string (el BOM, si lo hay, se descarta).
+ * @param {Buffer|Uint8Array} buffer
+ * @param {string} [encoding] - Si se omite, se detecta
+ * @returns {string}
+ */
+export function decodeBuffer(buffer, encoding) {
+  const label = normalizeEncoding(encoding) || detectEncoding(buffer);
+  return new TextDecoder(label).decode(buffer);
+}
 
 /**
- * Parsea un archivo CSV y devuelve un array de filas (arrays de celdas).
+ * Detecta el separador contando apariciones fuera de comillas en las primeras líneas.
+ * Gana el candidato cuyo número de apariciones por línea es más constante; en empate, el más frecuente.
+ * @param {string} text
+ * @returns {string} - ',', ';', '\t' o '|' (',' si no hay ninguno)
+ */
+export function detectDelimiter(text) {
+  const content = String(text || '');
+  const sample = content.slice(0, SNIFF_BYTES);
+  const newCounts = () => DELIMITER_CANDIDATES.map(() => 0);
+  const lines = [];
+  let counts = newCounts();
+  let inQuotes = false;
+  let hasContent = false;
+
+  for (let i = 0; i < sample.length && lines.length < 20; i++) {
+    const ch = sample[i];
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+      continue;
+    }
+    if (inQuotes) continue;
+    if (ch === '\n' || ch === '\r') {
+      if (hasContent) lines.push(counts);
+      counts = newCounts();
+      hasContent = false;
+      continue;
+    }
+    hasContent = true;
+    const idx = DELIMITER_CANDIDATES.indexOf(ch);
+    if (idx !== -1) counts[idx]++;
+  }
+  // La última línea solo cuenta si no quedó cortada por la muestra
+  if (hasContent && content.length <= SNIFF_BYTES) lines.push(counts);
+
+  let best = ',';
+  let bestScore = 0;
+  DELIMITER_CANDIDATES.forEach((delimiter, idx) => {
+    const first = lines[0]?.[idx] || 0;
+    if (!first) return;
+    const consistent = lines.filter((c) => c[idx] === first).length;
+    const score = consistent * SNIFF_BYTES + first;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Resuelve separador y codificación de un contenido CSV: usa los overrides si se indican
+ * y detecta el resto.
+ * @param {string|Buffer} input - Contenido ya decodificado (string) o bytes (Buffer)
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Override del separador ('auto' = detectar)
+ * @param {string} [options.encoding] - Override de la codificación ('auto' = detectar)
+ * @returns {{ delimiter: string, encoding: string|null }} - encoding es null si input ya era string
+ */
+export function detectCsvFormat(input, options = {}) {
+  const isText = typeof input === 'string';
+  const encoding = isText ? null : normalizeEncoding(options.encoding) || detectEncoding(input);
+  let delimiter = normalizeDelimiter(options.delimiter);
+  if (!delimiter) {
+    const sample = isText ? input : new TextDecoder(encoding).decode(input.subarray(0, SNIFF_BYTES));
+    delimiter = detectDelimiter(sample);
+  }
+  return { delimiter, encoding };
+}
+
+/**
+ * Igual que detectCsvFormat pero leyendo solo el inicio del archivo. Si ese inicio parece UTF-8
+ * (sin BOM), se valida el archivo entero antes de darlo por bueno: la codificación queda fijada
+ * antes de decodificar nada y no cambia a mitad de lectura.
+ * @param {string} filePath
+ * @param {Object} [options] - Overrides { delimiter, encoding }
+ * @returns {Promise<{ delimiter: string, encoding: string }>}
+ */
+export async function sniffCsvFile(filePath, options = {}) {
+  const handle = await open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    const format = detectCsvFormat(buffer.subarray(0, bytesRead), options);
+    const hasBom = buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf;
+    if (format.encoding === 'utf-8' && !hasBom && bytesRead === SNIFF_BYTES && !normalizeEncoding(options.encoding)) {
+      if (!(await isUtf8File(handle, buffer))) format.encoding = 'windows-1252';
+    }
+    return format;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Pasa el archivo entero por un decodificador UTF-8 estricto, por trozos y desde el principio
+async function isUtf8File(handle, buffer) {
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  try {
+    let position = 0;
+    let bytesRead;
+    while ((bytesRead = (await handle.read(buffer, 0, buffer.length, position)).bytesRead) > 0) {
+      decoder.decode(buffer.subarray(0, bytesRead), { stream: true });
+      position += bytesRead;
+    }
+    decoder.decode();
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Parsea un archivo CSV leyéndolo por streaming.
+ * Sin options.onRow devuelve todas las filas; con options.onRow las va entregando
+ * una a una y resuelve con el número de filas leídas.
  * @param {string} filePath - Ruta al archivo CSV
- * @returns {Promise<string[][]>}
+ * @param {Object} [options]
+ * @param {(row: string[]) => void} [options.onRow] - Consumidor de filas
+ * @param {string} [options.delimiter] - Separador de columnas (default: detectar)
+ * @param {string} [options.encoding] - Codificación del archivo (default: detectar)
+ * @returns {Promise<string[][]|number>}
  */
-export function parseCsvFile(filePath) {
+export async function parseCsvFile(filePath, options = {}) {
+  const format = await sniffCsvFile(filePath, options);
+  const decoder = new TextDecoder(format.encoding);
+
   return new Promise((resolve, reject) => {
     const rows = [];
-    const stream = createReadStream(filePath, { encoding: 'utf8' });
-    const rl = createInterface({ input: stream, crlfDelay: Infinity });
+    let count = 0;
+    const onRow = (row) => {
+      count++;
+      if (options.onRow) options.onRow(row);
+      else rows.push(row);
+    };
+    const parser = createCsvParser(onRow, { delimiter: format.delimiter });
+    const stream = createReadStream(filePath);
+
+    stream.on('data', (chunk) => {
+      try {
+        parser.write(decoder.decode(chunk, { stream: true }));
+      } catch (err) {
+        stream.destroy();
+        reject(err);
+      }
+    });
 
     stream.on('error', (err) => {
       reject(err);
     });
 
-    rl.on('line', (line) => {
-      const parsed = parseCsvLine(line);
-      if (parsed && parsed.length > 0) {
-        rows.push(parsed);
+    stream.on('end', () => {
+      try {
+        parser.write(decoder.decode());
+        parser.end();
+        resolve(options.onRow ? count : rows);
+      } catch (err) {
+        reject(err);
       }
     });
-
-    rl.on('close', () => {
-      resolve(rows);
-    });
   });
 }
 
+/**
+ * Relee de un archivo CSV solo las filas que empiezan en las líneas indicadas (ej. las rechazadas
+ * tras procesarlo por streaming), por trozos y sin cargar el archivo entero.
+ * @param {string} filePath
+ * @param {Iterable<number>} lines - Líneas del archivo (`line` de cada fila)
+ * @param {Object} options
+ * @param {string} options.delimiter - Separador ya resuelto
+ * @param {string} options.encoding - Codificación ya resuelta por sniffCsvFile (etiqueta de TextDecoder)
+ * @returns {Map<number, string[]>} línea -> celdas
+ */
+export function readCsvFileLines(filePath, lines, options) {
+  const wanted = new Set(lines);
+  const found = new Map();
+  if (wanted.size === 0) return found;
+
+  const parser = createCsvParser((row) => {
+    if (wanted.has(row.line)) found.set(row.line, row);
+  }, { delimiter: options.delimiter });
+  const decoder = new TextDecoder(options.encoding);
+  const fd = openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    let bytesRead;
+    while (found.size < wanted.size && (bytesRead = readSync(fd, buffer, 0, SNIFF_BYTES, null)) > 0) {
+      parser.write(decoder.decode(buffer.subarray(0, bytesRead), { stream: true }));
+    }
+    parser.write(decoder.decode());
+    parser.end();
+  } finally {
+    closeSync(fd);
+  }
+  return found;
+}
+
 /**
  * Parsea el contenido CSV como string (útil para API que recibe el buffer).
  * @param {string} content - Contenido CSV en string
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Separador de columnas (default: detectar)
  * @returns {string[][]}
  */
-export function parseCsvString(content) {
-  const lines = content.split(/\r?\n/).filter(Boolean);
-  return lines.map((line) => parseCsvLine(line)).filter((row) => row && row.length > 0);
-}
-
-/**
- * Parsea una línea CSV respetando comillas.
- * @param {string} line
- * @returns {string[]|null}
- */
-function parseCsvLine(line) {
-  if (!line || typeof line !== 'string') return null;
-  const trimmed = line.trim();
-  if (!trimmed) return null;
-
-  const result = [];
-  let i = 0;
-  while (i < trimmed.length) {
-    if (trimmed[i] === '"') {
-      let val = '';
-      i++;
-      while (i < trimmed.length) {
-        if (trimmed[i] === '"') {
-          if (trimmed[i + 1] === '"') {
-            val += '"';
-            i += 2;
-          } else {
-            i++;
-            break;
-          }
-        } else {
-          val += trimmed[i];
-          i++;
-        }
-      }
-      result.push(val.trim());
-    } else {
-      let val = '';
-      while (i < trimmed.length && trimmed[i] !== ',') {
-        val += trimmed[i];
-        i++;
-      }
-      result.push(val.trim());
-      if (i < trimmed.length) i++;
-    }
-  }
-  return result;
+export function parseCsvString(content, options = {}) {
+  const delimiter = normalizeDelimiter(options.delimiter) || detectDelimiter(content);
+  const rows = [];
+  const parser = createCsvParser((row) => rows.push(row), { delimiter });
+  parser.write(content);
+  parser.end();
+  return rows;
+}
+
+/**
+ * Parsea un CSV recibido como bytes (subida de archivo), detectando la codificación.
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Separador de columnas (default: detectar)
+ * @param {string} [options.encoding] - Codificación (default: detectar)
+ * @returns {string[][]}
+ */
+export function parseCsvBuffer(buffer, options = {}) {
+  return parseCsvString(decodeBuffer(buffer, options.encoding), options);
+}
+
+/**
+ * Devuelve una función índice -> nombre de columna extra. Usa la cabecera si existe;
+ * si no (o está vacía), "columna_N" (N desde 1). Los nombres repetidos llevan sufijo "_N".
+ * @param {string[]} headers
+ * @returns {(index: number) => string}
+ */
+function createExtraColumnNamer(headers) {
+  const names = new Map();
+  const taken = new Set();
+  return (index) => {
+    if (names.has(index)) return names.get(index);
+    let name = String(headers[index] || '').trim() || `columna_${index + 1}`;
+    if (taken.has(name)) name = `${name}_${index + 1}`;
+    names.set(index, name);
+    taken.add(name);
+    return name;
+  };
+}
+
+// Separadores entre varios números en una misma celda: / , ; | salto de línea, " y ", " o "
+const PHONE_SEPARATORS = /\s*[/,;|\n]\s*|\s+(?:y|o|or|and)\s+/i;
+
+// Dígitos mínimos de cada parte para considerar que la celda trae varios números
+const MIN_SPLIT_DIGITS = 7;
+
+/**
+ * Separa una celda con varios teléfonos ("3001234567 / 3107654321", "+34 600..., +34 611...").
+ * Solo se separa si todas las partes parecen un número completo; si no, la celda se devuelve entera
+ * (así "5,73E+11" o "600 123 456 / ext 12" no se parten).
+ * @param {string} cell
+ * @returns {string[]} Números de la celda (vacío si la celda está vacía)
+ */
+export function splitPhoneCell(cell) {
+  const value = String(cell || '').trim();
+  if (!value) return [];
+  const parts = value.split(PHONE_SEPARATORS).map((p) => p.trim()).filter(Boolean);
+  const complete = parts.every((p) => p.replace(/\D/g, '').length >= MIN_SPLIT_DIGITS);
+  return parts.length > 1 && complete ? parts : [value];
 }
 
 /**
  * Convierte filas CSV en objetos con campos normalizados.
  *
  * Comportamiento:
- * - Si hay cabecera, intenta detectar columnas por nombre (muy permisivo):
- *   - Teléfono: phone, phone_number, phone number, telefono, tel, mobile, msisdn...
- *   - País: pais, country, country_code, country code...
- *   - Nombre: name, nombre, first_name...
- *   - Email: email, mail, e-mail...
- *   - Región: region, state, provincia...
- * - Si no hay cabecera, mantiene el mapeo histórico:
+ * - options.columnMap fija columnas por nombre de cabecera o índice (0 = primera):
+ *   { phone: 'Celular', pais: 'Country' } o "phone=Celular,pais=Country".
+ * - Los campos no indicados se infieren por cabecera y contenido (ver columnMapper.js).
+ * - Si no hay cabecera, lo no detectado mantiene el mapeo histórico:
  *   0=phone, 1=name, 2=email, 5=region, 6=pais
  *
  * Reglas:
- * - Solo se descartan filas sin teléfono.
+ * - No se descarta ninguna fila: las que no traen teléfono llegan con phone vacío y la
+ *   validación las rechaza con código EMPTY (así aparecen en rechazados.csv).
  * - El país puede ir vacío; la validación será más permisiva en ese caso.
+ * - Las columnas no mapeadas se conservan en `extra` ({ cabecera: valor }).
+ * - `row` es el número de fila en el archivo original (1 = primera, incluida la cabecera): la
+ *   línea del CSV o la fila de la hoja (`line` de cada fila; si falta, su posición en rows).
+ * - Una celda con varios teléfonos (ver splitPhoneCell), o varias columnas de teléfono
+ *   (columnMap "phone=Telefono|Celular"), dan un registro por número con los mismos datos;
+ *   `phone_index` es la posición del número en la fila (0 = primero).
  *
  * @param {string[][]} rows
- * @returns {Array<{ phone: string, name: string, email: string, region: string, pais: string }>}
+ * @param {Object} [options]
+ * @param {Object.<string, string|number>|string} [options.columnMap] - Mapeo explícito de columnas
+ * @param {{ hasHeader: boolean, mapping: Object }} [options.columns] - Mapeo ya resuelto (resolveColumnMapping)
+ * @returns {Array<{ row: number, phone_index: number, phone: string, name: string, email: string, region: string, pais: string, extra: Object.<string, string> }>}
  */
-export function rowsToRecords(rows) {
+export function rowsToRecords(rows, options = {}) {
   if (!rows || rows.length === 0) return [];
 
+  const columns = options.columns || resolveColumnMapping(rows, options.columnMap);
+  const toRecords = createRecordBuilder(columns);
   const records = [];
-  const header = rows[0] || [];
-  const joinedHeader = (String(header[0] || '') + String(header[1] || '')).toLowerCase();
-
-  // Heurística básica: si las primeras celdas contienen palabras típicas de header,
-  // lo tratamos como cabecera.
-  const looksLikeHeader = /phone|nombre|name|email|pais|country|region/i.test(joinedHeader);
-
-  let phoneIdx = 0;
-  let nameIdx = 1;
-  let emailIdx = 2;
-  let regionIdx = 5;
-  let paisIdx = 6;
-
-  if (looksLikeHeader) {
-    const lower = header.map((h) => String(h || '').trim().toLowerCase());
-
-    const findIndex = (predicates) =>
-      lower.findIndex((h) => predicates.some((p) => p.test(h)));
-
-    // Teléfono: muy permisivo con distintos nombres
-    const phoneCandidates = [
-      /^phone[\s_]*number$/,
-      /^phone$/,
-      /^tel$/,
-      /^telefono$/,
-      /^mobile$/,
-      /^msisdn$/,
-      /^number$/,
-    ];
-    const paisCandidates = [
-      /^pais$/,
-      /^país$/,
-      /^country$/,
-      /^country[\s_]*code$/,
-      /^countrycode$/,
-    ];
-    const nameCandidates = [
-      /^name$/,
-      /^nombre$/,
-      /^first[\s_]*name$/,
-      /^last[\s_]*name$/,
-      /^full[\s_]*name$/,
-    ];
-    const emailCandidates = [
-      /^email$/,
-      /^e[\s_]*mail$/,
-      /^mail$/,
-    ];
-    const regionCandidates = [
-      /^region$/,
-      /^state$/,
-      /^provincia$/,
-      /^area$/,
-    ];
-
-    const detectedPhone = findIndex(phoneCandidates);
-    if (detectedPhone !== -1) phoneIdx = detectedPhone;
-
-    const detectedPais = findIndex(paisCandidates);
-    if (detectedPais !== -1) paisIdx = detectedPais;
-
-    const detectedName = findIndex(nameCandidates);
-    if (detectedName !== -1) nameIdx = detectedName;
-
-    const detectedEmail = findIndex(emailCandidates);
-    if (detectedEmail !== -1) emailIdx = detectedEmail;
-
-    const detectedRegion = findIndex(regionCandidates);
-    if (detectedRegion !== -1) regionIdx = detectedRegion;
+  for (let i = columns.hasHeader ? 1 : 0; i < rows.length; i++) {
+    for (const record of toRecords(rows[i], i)) records.push(record);
   }
+  return records;
+}
 
-  const start = looksLikeHeader ? 1 : 0;
-
-  for (let i = start; i < rows.length; i++) {
-    const row = rows[i] || [];
-    const phone = (row[phoneIdx] || '').trim();
-    const name = (row[nameIdx] || '').trim();
-    const email = (row[emailIdx] || '').trim();
-    const region = (row[regionIdx] || '').trim();
-    const pais = (row[paisIdx] || '').trim();
+/**
+ * Convierte filas de datos en registros de una en una, con un mapeo ya resuelto. Es lo que usa
+ * rowsToRecords; sirve para procesar un archivo por streaming sin guardar sus filas.
+ * @param {{ hasHeader: boolean, headers?: string[], mapping: Object, extraPhones?: Object[] }} columns - resolveColumnMapping
+ * @returns {(row: string[], index: number) => Array<{ row: number, phone_index: number, phone: string, name: string, email: string, region: string, pais: string, extra: Object.<string, string> }>}
+ *   index es la posición de la fila en el archivo (0 = primera), para cuando la fila no trae `line`
+ */
+export function createRecordBuilder(columns) {
+  const { hasHeader, headers = [], mapping, extraPhones = [] } = columns;
+  const cell = (row, field) => (mapping[field] ? String(row[mapping[field].index] || '').trim() : '');
+  const phoneColumns = [mapping.phone, ...extraPhones].filter(Boolean);
+  const mappedIndexes = new Set([...Object.values(mapping), ...extraPhones].filter(Boolean).map((m) => m.index));
+  const extraName = createExtraColumnNamer(hasHeader ? headers : []);
 
-    // Fila sin teléfono: no tiene sentido procesarla
-    if (!phone) continue;
+  return (input, i) => {
+    const row = input || [];
+    const phones = phoneColumns.flatMap((col) => splitPhoneCell(row[col.index]));
 
-    records.push({ phone, name, email, region, pais });
-  }
+    // Columnas no mapeadas (deuda, producto...): se conservan para exportarlas y usarlas como variables
+    const extra = {};
+    const width = Math.max(row.length, hasHeader ? headers.length : 0);
+    for (let j = 0; j < width; j++) {
+      if (mappedIndexes.has(j)) continue;
+      extra[extraName(j)] = String(row[j] || '').trim();
+    }
 
-  return records;
+    const fields = {
+      name: cell(row, 'name'),
+      email: cell(row, 'email'),
+      region: cell(row, 'region'),
+      pais: cell(row, 'pais'),
+      extra,
+    };
+    // Sin ningún teléfono la fila llega igualmente, con phone vacío
+    return (phones.length ? phones : ['']).map((phone, k) => ({ row: row.line ?? i + 1, phone_index: k, phone, ...fields }));
+  };
 }
@@ -0,0 +1,135 @@
+/**
+ * Lector de hojas de cálculo (XLSX, XLS, ODS).
+ * Devuelve las mismas filas string[][] que parseCsvString para que el resto del
+ * pipeline (rowsToRecords, validación...) no distinga el origen.
+ */
+
+import { readFile } from 'fs/promises';
+import XLSX from 'xlsx';
+
+// Extensiones que se leen como hoja de cálculo en lugar de CSV
+const SPREADSHEET_EXTENSIONS = /\.(xlsx|xlsm|xls|ods)$/i;
+
+/**
+ * Indica si un nombre de archivo corresponde a una hoja de cálculo soportada.
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isSpreadsheetFile(fileName) {
+  return SPREADSHEET_EXTENSIONS.test(String(fileName || ''));
+}
+
+/**
+ * Indica si un buffer es una hoja de cálculo según su firma:
+ * ZIP (XLSX, ODS) u OLE2 (XLS antiguo). Un CSV nunca empieza por estos bytes.
+ * @param {Buffer|Uint8Array} buffer
+ * @returns {boolean}
+ */
+export function isSpreadsheetBuffer(buffer) {
+  if (!buffer || buffer.length < 4) return false;
+  const isZip = buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+  const isOle = buffer[0] === 0xd0 && buffer[1] === 0xcf && buffer[2] === 0x11 && buffer[3] === 0xe0;
+  return isZip || isOle;
+}
+
+/**
+ * Elige la hoja a leer.
+ * @param {string[]} sheetNames
+ * @param {string|number} [sheet] - Nombre exacto o posición (1 = primera). Por defecto, la primera.
+ * @returns {string}
+ */
+function resolveSheetName(sheetNames, sheet) {
+  if (sheetNames.length === 0) {
+    throw new Error('El libro no contiene hojas');
+  }
+  if (sheet === undefined || sheet === null || sheet === '') return sheetNames[0];
+
+  const wanted = String(sheet).trim();
+  if (sheetNames.includes(wanted)) return wanted;
+
+  const lower = sheetNames.find((n) => n.toLowerCase() === wanted.toLowerCase());
+  if (lower) return lower;
+
+  if (/^\d+$/.test(wanted)) {
+    const position = parseInt(wanted, 10);
+    if (position >= 1 && position <= sheetNames.length) return sheetNames[position - 1];
+  }
+
+  throw new Error(`Hoja no encontrada: "${wanted}". Hojas disponibles: ${sheetNames.join(', ')}`);
+}
+
+/**
+ * Convierte una celda a texto. Los números con formato General se escriben completos
+ * (Excel mostraría 5,73E+11 para un teléfono); el resto usa el texto formateado de la celda.
+ * @param {Object} cell - Celda de SheetJS
+ * @returns {string}
+ */
+function cellToString(cell) {
+  if (!cell || cell.v === undefined || cell.v === null) return '';
+  if (cell.t === 'n' && (!cell.z || cell.z === 'General')) {
+    return Number.isInteger(cell.v) ? BigInt(cell.v).toString() : String(cell.v);
+  }
+  if (cell.t === 's') return String(cell.v);
+  return String(cell.w ?? cell.v);
+}
+
+/**
+ * Convierte una hoja en filas de celdas (sin filas vacías, celdas sin espacios en los extremos).
+ * Cada fila lleva en `line` su número de fila en la hoja (1 = fila 1 de Excel), como las líneas de un CSV.
+ * @param {Object} worksheet
+ * @returns {Array<string[] & { line: number }>}
+ */
+function sheetToRows(worksheet) {
+  if (!worksheet || !worksheet['!ref']) return [];
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const rows = [];
+
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+      row.push(cellToString(cell).trim());
+    }
+    // Quitar celdas vacías al final para parecerse a una línea CSV
+    while (row.length > 0 && row[row.length - 1] === '') row.pop();
+    if (row.length > 0) {
+      row.line = r + 1;
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Parsea una hoja de cálculo recibida como bytes.
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {string|number} [options.sheet] - Hoja a leer: nombre o posición (1 = primera)
+ * @returns {{ rows: string[][], sheet: string, sheets: string[] }}
+ */
+export function parseSpreadsheetBuffer(buffer, options = {}) {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', cellDates: false, cellNF: true });
+  } catch (e) {
+    throw new Error(`No se pudo leer la hoja de cálculo: ${e.message}`);
+  }
+  const sheet = resolveSheetName(workbook.SheetNames, options.sheet);
+  return {
+    rows: sheetToRows(workbook.Sheets[sheet]),
+    sheet,
+    sheets: [...workbook.SheetNames],
+  };
+}
+
+/**
+ * Parsea una hoja de cálculo desde disco.
+ * @param {string} filePath
+ * @param {Object} [options] - Igual que parseSpreadsheetBuffer
+ * @returns {Promise<{ rows: string[][], sheet: string, sheets: string[] }>}
+ */
+export async function parseSpreadsheetFile(filePath, options = {}) {
+  const buffer = await readFile(filePath);
+  return parseSpreadsheetBuffer(buffer, options);
+}
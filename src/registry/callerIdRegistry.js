@@ -0,0 +1,138 @@
+/**
+ * Registro persistente de caller IDs (archivo JSON local).
+ *
+ * Guarda cada número generado o importado a Retell con la ejecución que lo generó (run_id),
+ * su estado y las fechas de cada cambio, para no volver a generar en semanas siguientes números
+ * que ya están en uso o que se retiraron (ej. marcados como spam).
+ * Ruta: CALLER_ID_REGISTRY o data/caller_ids.json en el directorio de trabajo.
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+
+/** Estados de un número: generado, importado a Retell o retirado (ya no se usa ni se regenera). */
+export const CALLER_ID_STATUSES = ['generated', 'imported', 'retired'];
+
+/**
+ * @typedef {Object} CallerIdEntry
+ * @property {string} phone_number - E.164
+ * @property {string} pais
+ * @property {string} run_id - Ejecución que lo generó ('' si se importó sin generarlo aquí)
+ * @property {string} status - Uno de CALLER_ID_STATUSES
+ * @property {string} [generated_at] - ISO 8601
+ * @property {string} [imported_at]
+ * @property {string} [retired_at]
+ * @property {string} updated_at
+ * @property {string} [nickname]
+ * @property {string} [reason] - Motivo del retiro
+ */
+
+/**
+ * Ruta del registro.
+ * @returns {string}
+ */
+export function getRegistryPath() {
+  return process.env.CALLER_ID_REGISTRY || join(process.cwd(), 'data', 'caller_ids.json');
+}
+
+/**
+ * Ruta de CALLER_ID_REGISTRY, sin valor por defecto: para entornos cuyo disco local no persiste
+ * ni se comparte entre instancias (ej. /tmp en Netlify).
+ * @returns {string}
+ */
+export function requireRegistryPath() {
+  const filePath = process.env.CALLER_ID_REGISTRY;
+  if (!filePath) {
+    throw new Error('CALLER_ID_REGISTRY no está configurada: debe apuntar a un almacenamiento persistente y compartido para el registro de caller IDs');
+  }
+  return filePath;
+}
+
+function toE164(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits ? `+${digits}` : '';
+}
+
+/**
+ * Lee el registro (vacío si el archivo no existe).
+ * @param {string} [filePath]
+ * @returns {Object.<string, CallerIdEntry>} E.164 -> entrada
+ */
+export function loadRegistry(filePath = getRegistryPath()) {
+  if (!existsSync(filePath)) return {};
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8')).numbers || {};
+  } catch (e) {
+    throw new Error(`Registro de caller IDs ilegible (${filePath}): ${e.message}`);
+  }
+}
+
+// Escribe en un temporal y lo renombra, para no dejar el registro a medias si el proceso se corta
+function saveRegistry(filePath, numbers) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ version: 1, numbers }, null, 2), 'utf8');
+  renameSync(tmp, filePath);
+}
+
+/**
+ * Números ya registrados en cualquier estado, para excluirlos al generar.
+ * @param {string} [filePath]
+ * @returns {Set<string>} E.164
+ */
+export function getRegisteredNumbers(filePath = getRegistryPath()) {
+  return new Set(Object.keys(loadRegistry(filePath)));
+}
+
+/**
+ * Registra los números generados en una ejecución. Los que ya estaban conservan su estado.
+ * @param {Array<{ pais: string, numero_generado: string }>} rows
+ * @param {string} runId
+ * @param {string} [filePath]
+ * @returns {number} Números nuevos en el registro
+ */
+export function recordGenerated(rows, runId, filePath = getRegistryPath()) {
+  const numbers = loadRegistry(filePath);
+  const now = new Date().toISOString();
+  let added = 0;
+  for (const r of rows) {
+    const phone = toE164(r.numero_generado);
+    if (!phone || numbers[phone]) continue;
+    numbers[phone] = { phone_number: phone, pais: r.pais || '', run_id: runId, status: 'generated', generated_at: now, updated_at: now };
+    added++;
+  }
+  if (added) saveRegistry(filePath, numbers);
+  return added;
+}
+
+/**
+ * Cambia el estado de uno o varios números (los que no estaban se añaden con run_id vacío).
+ * @param {string|string[]} phoneNumbers
+ * @param {'imported'|'retired'|'generated'} status
+ * @param {Object} [details] - Campos extra de la entrada, ej. { nickname } o { reason: 'spam' }
+ * @param {string} [filePath]
+ * @returns {CallerIdEntry[]} Entradas actualizadas
+ */
+export function updateCallerIdStatus(phoneNumbers, status, details = {}, filePath = getRegistryPath()) {
+  if (!CALLER_ID_STATUSES.includes(status)) {
+    throw new Error(`Estado de caller ID no soportado: "${status}" (usa ${CALLER_ID_STATUSES.join(', ')})`);
+  }
+  const numbers = loadRegistry(filePath);
+  const now = new Date().toISOString();
+  const updated = [];
+  for (const p of [].concat(phoneNumbers)) {
+    const phone = toE164(p);
+    if (!phone) continue;
+    const entry = numbers[phone] || { phone_number: phone, pais: '', run_id: '' };
+    for (const [key, value] of Object.entries(details)) {
+      if (value !== undefined && value !== null && value !== '') entry[key] = value;
+    }
+    entry.status = status;
+    entry[`${status}_at`] = now;
+    entry.updated_at = now;
+    numbers[phone] = entry;
+    updated.push(entry);
+  }
+  if (updated.length) saveRegistry(filePath, numbers);
+  return updated;
+}
@@ -7,11 +7,122 @@
  *   los números que la librería considera inválidos.
  *
  * Notas:
- * - El campo "pais" solo se conserva para contexto/exports, pero no se usa para bloquear números.
+ * - El campo "pais" (vía getCountryIso → ISO alpha-2) es la región por defecto para interpretar
+ *   números locales sin prefijo internacional. Si no se reconoce, se usa la región global
+ *   (options.defaultCountry, 'ES' por defecto).
+ * - Si el prefijo detectado no coincide con el país declarado se informa como aviso o error
+ *   según options.countryMismatch.
+ * - Cada rechazo lleva un código estable (code, ver ERROR_MESSAGES) y la fila de origen (row).
+ * - Antes de validar, el módulo del país (src/countries) puede reparar el número (ej. el noveno
+ *   dígito de los móviles de Brasil) o rechazarlo (ej. un código de área inexistente).
+ * - Con options.repair, un número inválido se intenta corregir con REPAIR_FIXES (en orden) y se
+ *   acepta la primera corrección que libphonenumber-js valida, con su código y su confianza. Las de
+ *   confianza menor que REPAIR_MIN_CONFIDENCE se rechazan (LOW_CONFIDENCE_REPAIR) para revisarlas a mano.
+ * - El tipo de línea (line_type) se obtiene con los metadatos completos de libphonenumber-js
+ *   ("max"); los metadatos por defecto solo validan longitudes y no distinguen tipos.
  */
 
-import { getCountryRule, getCountryByCode, COUNTRY_ALIASES } from '../config/countryRules.js';
-import { parsePhoneNumber, isValidPhoneNumber } from 'libphonenumber-js';
+import { getCountryIso, getCountryRuleByIso } from '../config/countryRules.js';
+import { resolveDialCode, lookupDialCode } from '../config/dialCodes.js';
+import { getCountryModule } from '../countries/registry.js';
+import {
+  parsePhoneNumber,
+  isValidPhoneNumber,
+  isSupportedCountry,
+  getCountryCallingCode,
+  validatePhoneNumberLength,
+} from 'libphonenumber-js';
+import { parsePhoneNumber as parsePhoneNumberMax } from 'libphonenumber-js/max';
+
+/** Región por defecto cuando la fila no declara un país reconocible. */
+export const DEFAULT_REGION = 'ES';
+
+/**
+ * Códigos de rechazo y su mensaje por defecto.
+ * INVALID_AREA_CODE, COUNTRY_MISMATCH, LINE_TYPE_NOT_ALLOWED y DUPLICATE llevan un mensaje con el detalle.
+ */
+export const ERROR_MESSAGES = {
+  EMPTY: 'Número vacío',
+  NOT_A_NUMBER: 'No es un número de teléfono',
+  TOO_SHORT: 'Número demasiado corto',
+  TOO_LONG: 'Número demasiado largo',
+  INVALID_LENGTH: 'Longitud inválida para el país',
+  INVALID_COUNTRY: 'Prefijo internacional desconocido',
+  INVALID_AREA_CODE: 'Código de área inexistente',
+  INVALID_NUMBER: 'Número inválido según libphonenumber-js',
+  COUNTRY_MISMATCH: 'El prefijo no corresponde al país declarado',
+  LINE_TYPE_NOT_ALLOWED: 'Tipo de línea no permitido',
+  DUPLICATE: 'Número duplicado',
+  LOW_CONFIDENCE_REPAIR: 'Reparación poco fiable, revisar a mano',
+  INTERNAL_ERROR: 'Error inesperado al validar',
+};
+
+/** Código de reparación de las correcciones del plan de numeración de cada país (preValidate). */
+export const COUNTRY_PLAN_REPAIR = 'COUNTRY_PLAN';
+
+/**
+ * Confianza mínima para aceptar una reparación. Las de menos (notación científica, donde Excel
+ * pudo perder los últimos dígitos) no llegan a los datos limpios ni a la generación.
+ */
+export const REPAIR_MIN_CONFIDENCE = 0.6;
+
+// Mantisa y exponente de un número que Excel guardó en notación científica (5,73E+11)
+const SCIENTIFIC_NOTATION = /^\+?(\d+)(?:[.,](\d+))?E\+?(\d+)$/i;
+
+/**
+ * Correcciones del modo reparación, de más a menos fiable. apply(phone, { declared, raw }) devuelve
+ * el número transformado o null si no aplica. phone llega sin espacios ni separadores; raw es la
+ * celda original recortada y declared el ISO de la columna pais (o null).
+ */
+export const REPAIR_FIXES = [
+  {
+    code: 'DOUBLE_PREFIX',
+    description: 'Prefijo internacional duplicado (+00) eliminado',
+    confidence: 0.95,
+    apply: (s) => (/^\+0{2}/.test(s) ? `+${s.slice(3)}` : null),
+  },
+  {
+    code: 'TRUNK_ZERO',
+    description: '0 troncal eliminado tras el código de país',
+    confidence: 0.9,
+    apply: (s) => {
+      if (!/^(?:\+|00)/.test(s)) return null;
+      const digits = s.replace(/^(?:\+|00)/, '');
+      const dialCode = lookupDialCode(digits);
+      const national = dialCode ? digits.slice(dialCode.length) : '';
+      return national.startsWith('0') ? `+${dialCode}${national.replace(/^0+/, '')}` : null;
+    },
+  },
+  {
+    code: 'MISSING_COUNTRY_CODE',
+    description: 'Código de país añadido según la columna pais',
+    confidence: 0.8,
+    apply: (s, { declared }) => {
+      if (!declared || s.startsWith('00')) return null;
+      const code = getCountryCallingCode(declared);
+      const digits = s.replace(/^\+/, '');
+      return digits.startsWith(code) ? null : `+${code}${digits.replace(/^0+/, '')}`;
+    },
+  },
+  {
+    code: 'SCIENTIFIC_NOTATION',
+    description: 'Notación científica de Excel expandida (los últimos dígitos pueden haberse perdido)',
+    confidence: 0.5,
+    apply: (s, { raw }) => {
+      const m = SCIENTIFIC_NOTATION.exec(raw);
+      if (!m) return null;
+      const [, int, frac = '', exp] = m;
+      const zeros = parseInt(exp, 10) - frac.length;
+      return zeros >= 0 ? `${int}${frac}${'0'.repeat(zeros)}` : null;
+    },
+  },
+];
+
+/** Tipos de línea que devuelve getLineType (los de libphonenumber-js más UNKNOWN). */
+export const LINE_TYPES = [
+  'MOBILE', 'FIXED_LINE', 'FIXED_LINE_OR_MOBILE', 'TOLL_FREE', 'PREMIUM_RATE', 'SHARED_COST',
+  'VOIP', 'PERSONAL_NUMBER', 'PAGER', 'UAN', 'VOICEMAIL', 'UNKNOWN',
+];
 
 /**
  * Extrae solo dígitos del número (sin +) para comparación E.164.
@@ -56,23 +167,22 @@ export function formatToE164Lib(phoneNumber, defaultCountry = 'ES') {
       normalizedNumber = '+34' + normalizedNumber;
     }
 
-    // Si son solo dígitos largos, intentar sin + y luego con +
+    // Si son solo dígitos largos, intentar sin + (como número local) y luego con +
     if (/^\d+$/.test(normalizedNumber) && normalizedNumber.length > 8) {
       try {
         if (isValidPhoneNumber(normalizedNumber, defaultCountry)) {
           const parsed = parsePhoneNumber(normalizedNumber, defaultCountry);
           return parsed.format('E.164');
         }
-      } catch (_) {
-        try {
-          const withPlus = '+' + normalizedNumber;
-          if (isValidPhoneNumber(withPlus)) {
-            const parsed = parsePhoneNumber(withPlus);
-            return parsed.format('E.164');
-          }
-        } catch (_) {
-          return null;
+      } catch (_) {}
+      try {
+        const withPlus = '+' + normalizedNumber;
+        if (isValidPhoneNumber(withPlus)) {
+          const parsed = parsePhoneNumber(withPlus);
+          return parsed.format('E.164');
         }
+      } catch (_) {
+        return null;
       }
     } else {
       // Ya tiene + o es un número local
@@ -93,85 +203,360 @@ export function formatToE164Lib(phoneNumber, defaultCountry = 'ES') {
 }
 
 /**
- * Obtiene el código de país (sin +) desde un número E.164.
- * @param {string} e164 - ej: +54911... o +346...
- * @returns {{ dialCode: string, national: string }|null}
- */
-export function splitE164(e164) {
-  const digits = toE164Digits(e164);
-  if (!digits) return null;
-
-  // +1: 1 dígito; resto: 2-3 dígitos
-  let dialCode = '';
-  let national = '';
-
-  if (digits.startsWith('1') && digits.length >= 11) {
-    dialCode = '1';
-    national = digits.slice(1);
-  } else if (digits.length >= 10) {
-    // Códigos de 2 dígitos (E.164): 20–99 excepto cuando forman inicio de 3 (ej. 211)
-    const two = digits.slice(0, 2);
-    // Códigos E.164 de 2 dígitos (evitando 21x, 22x, etc. que son 3)
-    const twoCodes = ['20','27','30','31','32','33','34','36','39','40','41','43','44','45','46','47','48','49','51','52','53','54','55','56','57','58','60','61','62','63','64','65','66','81','82','86','90','91','92','93','94','95','98'];
-    if (twoCodes.includes(two)) {
-      dialCode = two;
-      national = digits.slice(2);
-    } else {
-      dialCode = digits.slice(0, 3);
-      national = digits.slice(3);
-    }
+ * Resuelve la región por defecto (ISO alpha-2) a partir del país declarado.
+ * @param {string} pais - Nombre, alias, código ISO o código de marcación
+ * @returns {string|null}
+ */
+export function resolveDefaultRegion(pais) {
+  const iso = getCountryIso(pais);
+  if (iso) return iso;
+  const upper = String(pais || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(upper) && isSupportedCountry(upper) ? upper : null;
+}
+
+/**
+ * Aplica las comprobaciones previas del módulo del país del número (preValidate), si las tiene.
+ * Los números internacionales usan el país de su prefijo; los locales, la región.
+ * @param {string} phone - Número tal como viene en CSV
+ * @param {string} region - Región ISO para números locales
+ * @returns {{ phone: string, repair?: string }|{ code: string, error: string }}
+ *   phone: número a validar (en E.164 si el módulo lo ha corregido); repair: reparación aplicada
+ */
+export function preValidatePhone(phone, region) {
+  let s = String(phone || '').trim().replace(/[\s().\-/]/g, '');
+  if (s.startsWith('00')) s = '+' + s.substring(2);
+  if (!/^\+?\d+$/.test(s)) return { phone };
+
+  const split = s.startsWith('+') ? resolveDialCode(s) : { national: s, iso: region };
+  const rule = split && getCountryRuleByIso(split.iso);
+  const check = rule && getCountryModule(rule.iso).preValidate?.(split.national, rule);
+  if (!check) return { phone };
+  if (check.code) return check;
+  return { phone: `+${rule.code}${check.national}`, repair: check.repair };
+}
+
+// Valida un candidato con el mismo camino que un número original (módulo del país + libphonenumber)
+function formatCandidate(phone, region) {
+  const pre = preValidatePhone(phone, region);
+  return pre.code ? null : formatToE164Lib(pre.phone, region);
+}
+
+/**
+ * Prueba las correcciones de REPAIR_FIXES sobre un número inválido.
+ * @param {string} phone - Número tal como viene en CSV
+ * @param {string|null} declared - ISO del país declarado en la fila
+ * @param {string} region - Región ISO para números locales
+ * @returns {{ e164: string, code: string, description: string, confidence: number }|null}
+ *   La primera corrección que libphonenumber-js valida, o null si ninguna sirve
+ */
+export function repairPhone(phone, declared, region) {
+  const raw = String(phone || '').trim();
+  const s = raw.replace(/[\s().\-/]/g, '');
+  for (const { code, description, confidence, apply } of REPAIR_FIXES) {
+    const candidate = apply(s, { declared, raw });
+    if (!candidate) continue;
+    const e164 = formatCandidate(candidate, region);
+    if (e164) return { e164, code, description, confidence };
+  }
+  return null;
+}
+
+/**
+ * Explica por qué formatToE164Lib rechazó un número: devuelve un código de ERROR_MESSAGES.
+ * @param {string} phoneNumber - Número tal como viene en CSV
+ * @param {string} defaultCountry - Región ISO usada para interpretarlo
+ * @returns {string}
+ */
+export function classifyInvalidPhone(phoneNumber, defaultCountry = DEFAULT_REGION) {
+  let normalizedNumber = String(phoneNumber || '').trim().replace(/\s+/g, '');
+  if (!normalizedNumber) return 'EMPTY';
+  if (/[a-z]/i.test(normalizedNumber) || !/\d/.test(normalizedNumber)) return 'NOT_A_NUMBER';
+  if (normalizedNumber.startsWith('00')) {
+    normalizedNumber = '+' + normalizedNumber.substring(2);
+  }
+  try {
+    return validatePhoneNumberLength(normalizedNumber, defaultCountry) || 'INVALID_NUMBER';
+  } catch (_) {
+    return 'INVALID_NUMBER';
+  }
+}
+
+/**
+ * Clasifica un número E.164 por tipo de línea (MOBILE, FIXED_LINE, TOLL_FREE...).
+ * @param {string} e164
+ * @returns {string} Uno de LINE_TYPES; UNKNOWN si los metadatos no permiten decidirlo
+ */
+export function getLineType(e164) {
+  try {
+    return parsePhoneNumberMax(e164).getType() || 'UNKNOWN';
+  } catch (_) {
+    return 'UNKNOWN';
   }
+}
 
-  if (!dialCode) return null;
-  return { dialCode, national };
+/**
+ * Convierte una lista de tipos de línea ("MOBILE,FIXED_LINE_OR_MOBILE" o array) en array validado.
+ * @param {string|string[]} [types]
+ * @returns {string[]|null} null si no hay filtro
+ */
+export function parseLineTypes(types) {
+  if (!types) return null;
+  const list = (Array.isArray(types) ? types : String(types).split(','))
+    .map((t) => String(t).trim().toUpperCase())
+    .filter(Boolean);
+  if (list.length === 0) return null;
+  const unknown = list.filter((t) => !LINE_TYPES.includes(t));
+  if (unknown.length) {
+    throw new Error(`Tipo de línea no soportado: ${unknown.join(', ')} (usa ${LINE_TYPES.join(', ')})`);
+  }
+  return list;
 }
 
 /**
  * Valida un número según las reglas del país.
  * @param {string} phone - Número tal como viene en CSV
  * @param {string} pais - País declarado
- * @returns {{ valid: boolean, e164?: string, error?: string }}
+ * @param {Object} [options]
+ * @param {string} [options.defaultCountry] - Región ISO si pais no se reconoce (default: 'ES')
+ * @param {'warn'|'error'|'ignore'} [options.countryMismatch] - Qué hacer si el prefijo no coincide con pais (default: 'warn')
+ * @param {boolean} [options.repair] - Intentar corregir los números inválidos con REPAIR_FIXES (default: false)
+ * @returns {{ valid: boolean, e164?: string, country?: string, line_type?: string, repair?: string, repair_code?: string, repair_confidence?: number, code?: string, error?: string, warning?: string }}
+ *   repair: descripción de la corrección aplicada; repair_code: COUNTRY_PLAN o un código de REPAIR_FIXES.
+ *   Una reparación por debajo de REPAIR_MIN_CONFIDENCE se devuelve con valid: false
  */
-export function validatePhoneForCountry(phone, pais) {
-  if (!phone || typeof phone !== 'string') {
-    return { valid: false, error: 'Número vacío' };
+export function validatePhoneForCountry(phone, pais, options = {}) {
+  if (!phone || typeof phone !== 'string' || !phone.trim()) {
+    return { valid: false, code: 'EMPTY', error: ERROR_MESSAGES.EMPTY };
+  }
+
+  const declared = resolveDefaultRegion(pais);
+  const region = declared || options.defaultCountry || DEFAULT_REGION;
+
+  const pre = preValidatePhone(phone, region);
+  if (pre.code) {
+    return { valid: false, code: pre.code, error: pre.error || ERROR_MESSAGES[pre.code] };
   }
 
   // Siempre delegamos la validación "real" a libphonenumber-js,
   // igual que en phone-number-formatter.
-  const formatted = formatToE164Lib(phone, 'ES');
+  let formatted = formatToE164Lib(pre.phone, region);
+  let repair = pre.repair ? { code: COUNTRY_PLAN_REPAIR, description: pre.repair, confidence: 1 } : null;
+  if (!formatted && options.repair) {
+    repair = repairPhone(phone, declared, region);
+    formatted = repair?.e164 || null;
+  }
   if (!formatted) {
-    return { valid: false, error: 'Número inválido según libphonenumber-js' };
+    const code = classifyInvalidPhone(pre.phone, region);
+    return { valid: false, code, error: ERROR_MESSAGES[code] };
+  }
+  if (repair && repair.confidence < REPAIR_MIN_CONFIDENCE) {
+    return {
+      valid: false,
+      e164: formatted,
+      repair: repair.description,
+      repair_code: repair.code,
+      repair_confidence: repair.confidence,
+      code: 'LOW_CONFIDENCE_REPAIR',
+      error: `${ERROR_MESSAGES.LOW_CONFIDENCE_REPAIR} (${repair.code}): ${formatted}`,
+    };
+  }
+
+  const { dialCode, iso } = resolveDialCode(formatted);
+  const result = { valid: true, e164: formatted, country: iso, line_type: getLineType(formatted) };
+  if (repair) {
+    result.repair = repair.description;
+    result.repair_code = repair.code;
+    result.repair_confidence = repair.confidence;
+  }
+
+  // +1 y otros prefijos compartidos: basta con que coincida el código de marcación
+  const mismatch = declared && dialCode !== getCountryCallingCode(declared);
+  if (mismatch && options.countryMismatch !== 'ignore') {
+    const message = `El prefijo +${dialCode} no corresponde al país declarado (${pais})`;
+    if (options.countryMismatch === 'error') {
+      return { valid: false, e164: formatted, code: 'COUNTRY_MISMATCH', error: message };
+    }
+    result.code = 'COUNTRY_MISMATCH';
+    result.warning = message;
+  }
+
+  return result;
+}
+
+/**
+ * Políticas para las filas con varios teléfonos (mismo row, distinto phone_index):
+ * - all: un contacto por cada número válido.
+ * - first: solo el primer número válido de la fila.
+ * - mobile: el primer móvil válido (MOBILE, si no FIXED_LINE_OR_MOBILE); si no hay, el primer válido.
+ */
+export const PHONE_POLICIES = ['all', 'first', 'mobile'];
+
+// Preferencia de tipo de línea en la política mobile (menor = mejor)
+const MOBILE_RANK = { MOBILE: 0, FIXED_LINE_OR_MOBILE: 1 };
+
+/**
+ * Elige los números de cada fila según la política. Las filas que conservan un número
+ * no informan los rechazos ni avisos de sus otros números.
+ * @param {Array} valid - Registros válidos en orden de aparición
+ * @param {Array} errors
+ * @param {Array} warnings
+ * @param {'first'|'mobile'} policy
+ * @returns {{ valid: Array, errors: Array, warnings: Array }}
+ */
+function applyPhonePolicy(valid, errors, warnings, policy) {
+  const chosen = new Map(); // row -> registro elegido
+  const rank = (r) => (policy === 'mobile' ? MOBILE_RANK[r.line_type] ?? 2 : 0);
+  for (const r of valid) {
+    if (r.row === undefined) continue;
+    const current = chosen.get(r.row);
+    if (!current || rank(r) < rank(current)) chosen.set(r.row, r);
+  }
+  const keptPhone = (w) => !chosen.has(w.row) || chosen.get(w.row).phone === w.phone;
+  return {
+    valid: valid.filter((r) => r.row === undefined || chosen.get(r.row) === r),
+    errors: errors.filter((e) => !chosen.has(e.row)),
+    warnings: warnings.filter(keptPhone),
+  };
+}
+
+/** Modos de deduplicación por E.164 admitidos en validateRecords. */
+export const DEDUP_MODES = ['none', 'first', 'last', 'merge'];
+
+const MERGE_FIELDS = ['name', 'email', 'region', 'pais'];
+
+/**
+ * Elimina duplicados por E.164.
+ * - first: se conserva la primera aparición.
+ * - last: se conserva la última aparición.
+ * - merge: se conserva la primera, completando sus campos vacíos (name, email, region, pais, extra)
+ *   con los de los duplicados.
+ * @param {Array<{ e164: string, row?: number }>} records - Registros ya validados
+ * @param {'first'|'last'|'merge'} mode
+ * @returns {{ kept: Array, dropped: Array<{ record: Object, survivor: Object }> }}
+ */
+export function dedupeRecords(records, mode) {
+  const groups = new Map(); // e164 -> registros en orden de aparición
+  for (const r of records) {
+    if (!groups.has(r.e164)) groups.set(r.e164, []);
+    groups.get(r.e164).push(r);
   }
 
-  return { valid: true, e164: formatted };
+  const survivors = new Map(); // registro original elegido -> registro final (fusionado o no)
+  const dropped = [];
+  for (const group of groups.values()) {
+    const chosen = mode === 'last' ? group[group.length - 1] : group[0];
+    let survivor = chosen;
+    if (mode === 'merge' && group.length > 1) {
+      survivor = { ...chosen, extra: { ...(chosen.extra || {}) }, merged_rows: group.map((r) => r.row) };
+      for (const dup of group) {
+        for (const f of MERGE_FIELDS) {
+          if (!survivor[f] && dup[f]) survivor[f] = dup[f];
+        }
+        for (const [k, v] of Object.entries(dup.extra || {})) {
+          if (!survivor.extra[k] && v) survivor.extra[k] = v;
+        }
+      }
+    }
+    survivors.set(chosen, survivor);
+    for (const dup of group) {
+      if (dup !== chosen) dropped.push({ record: dup, survivor });
+    }
+  }
+
+  const kept = records.filter((r) => survivors.has(r)).map((r) => survivors.get(r));
+  return { kept, dropped };
 }
 
 /**
  * Filtra y valida un array de registros.
- * Elimina duplicados por E.164 y aplica validatePhoneForCountry.
- * @param {Array<{ phone: string, name: string, email: string, region: string, pais: string }>} records
- * @returns {Array<{ ...record, e164: string }>}
+ * Aplica validatePhoneForCountry, descarta los tipos de línea no permitidos (options.lineTypes),
+ * elimina duplicados por E.164 según options.dedup y, con los números que quedan, elige los de
+ * las filas con varios teléfonos (options.phonePolicy).
+ * Cada rechazo se informa en errors como { row, phone, pais, code, error }; los duplicados
+ * descartados llevan además la fila que se conserva (duplicate_of). Los números reparados
+ * conservan la reparación en el registro (repair, repair_code, repair_confidence) y se avisan
+ * con el código REPAIRED; las poco fiables se rechazan con e164 y los mismos campos.
+ * @param {Array<{ row?: number, phone: string, name: string, email: string, region: string, pais: string }>} records
+ * @param {Object} [options] - Ver validatePhoneForCountry
+ * @param {string|string[]} [options.lineTypes] - Tipos de línea permitidos, ej. ['MOBILE', 'FIXED_LINE_OR_MOBILE'] (default: todos)
+ * @param {'none'|'first'|'last'|'merge'} [options.dedup] - Deduplicación por E.164 (default: 'none', se conservan todas las filas)
+ * @param {boolean} [options.repair] - Modo reparación, ver validatePhoneForCountry
+ * @param {'all'|'first'|'mobile'} [options.phonePolicy] - Filas con varios teléfonos, ver PHONE_POLICIES (default: 'all')
+ * @returns {{ valid: Array<{ ...record, e164: string, line_type: string, repair?: string, repair_code?: string, repair_confidence?: number }>, errors: Array<{ row?: number, phone: string, pais: string, code: string, error: string, e164?: string, repair?: string, repair_code?: string, repair_confidence?: number }>, warnings: any[] }}
  */
-export function validateRecords(records) {
-  const out = [];
-  const errors = [];
+export function validateRecords(records, options = {}) {
+  let out = [];
+  let errors = [];
+  let warnings = [];
+  const allowedTypes = parseLineTypes(options.lineTypes);
+  const phonePolicy = options.phonePolicy || 'all';
+  if (!PHONE_POLICIES.includes(phonePolicy)) {
+    throw new Error(`Política de teléfonos no soportada: "${phonePolicy}" (usa ${PHONE_POLICIES.join(', ')})`);
+  }
 
   for (const r of records) {
     try {
-      const { valid, e164, error } = validatePhoneForCountry(r.phone, r.pais);
+      const { valid, e164, line_type, repair, repair_code, repair_confidence, code, error, warning } =
+        validatePhoneForCountry(r.phone, r.pais, options);
       if (!valid) {
-        errors.push({ phone: r.phone, pais: r.pais, error });
+        const rejected = { row: r.row, phone: r.phone, pais: r.pais, code, error };
+        errors.push(repair ? { ...rejected, e164, repair, repair_code, repair_confidence } : rejected);
+        continue;
+      }
+      if (allowedTypes && !allowedTypes.includes(line_type)) {
+        errors.push({
+          row: r.row,
+          phone: r.phone,
+          pais: r.pais,
+          code: 'LINE_TYPE_NOT_ALLOWED',
+          error: `${ERROR_MESSAGES.LINE_TYPE_NOT_ALLOWED}: ${line_type}`,
+        });
         continue;
       }
-      // A diferencia de la versión original, NO eliminamos duplicados aquí:
-      // queremos el mismo comportamiento que phone-number-formatter,
-      // donde cada fila válida del CSV se conserva aunque el número se repita.
-      out.push({ ...r, e164 });
+      if (warning) {
+        warnings.push({ row: r.row, phone: r.phone, pais: r.pais, e164, code, warning });
+      }
+      if (repair) {
+        warnings.push({ row: r.row, phone: r.phone, pais: r.pais, e164, code: 'REPAIRED', warning: `${repair}: ${e164}` });
+        out.push({ ...r, e164, line_type, repair, repair_code, repair_confidence });
+      } else {
+        out.push({ ...r, e164, line_type });
+      }
     } catch (e) {
-      errors.push({ phone: r.phone, pais: r.pais, error: e.message });
+      errors.push({ row: r.row, phone: r.phone, pais: r.pais, code: 'INTERNAL_ERROR', error: e.message });
     }
   }
 
-  return { valid: out, errors };
+  // Por defecto NO eliminamos duplicados: mismo comportamiento que phone-number-formatter,
+  // donde cada fila válida del CSV se conserva aunque el número se repita.
+  const dedup = options.dedup || 'none';
+  if (!DEDUP_MODES.includes(dedup)) {
+    throw new Error(`Modo de deduplicación no soportado: "${dedup}" (usa ${DEDUP_MODES.join(', ')})`);
+  }
+  // La deduplicación va antes que la política: si el móvil de una fila es duplicado de otra,
+  // la política elige entre los números que le quedan (ej. su fijo) en vez de dejarla sin ninguno
+  if (dedup !== 'none') {
+    const { kept, dropped } = dedupeRecords(out, dedup);
+    out = kept;
+    for (const { record, survivor } of dropped) {
+      errors.push({
+        row: record.row,
+        phone: record.phone,
+        pais: record.pais,
+        code: 'DUPLICATE',
+        error: survivor.row
+          ? `Duplicado de ${record.e164} (se conserva la fila ${survivor.row})`
+          : `Duplicado de ${record.e164}`,
+        duplicate_of: survivor.row,
+      });
+    }
+    // Los duplicados se detectan al final: se reordena para que los rechazos sigan el orden del archivo
+    errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  }
+
+  if (phonePolicy !== 'all') {
+    ({ valid: out, errors, warnings } = applyPhonePolicy(out, errors, warnings, phonePolicy));
+  }
+
+  return { valid: out, errors, warnings };
 }